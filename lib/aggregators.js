@@ -0,0 +1,183 @@
+/**
+ * Functions summarizing a set of cells into a single value.
+ *
+ * Aggregators used by operations that reduce many rows to one (like aggregate
+ * and pivot). Each takes the Array of cells to summarize and the Object
+ * describing the aggregation (for settings like a join separator).
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var refine_util = require('./refine_util');
+
+
+/**
+ * Determine if a cell is empty.
+ *
+ * @param {Object} cell The cell to check.
+ * @return {boolean} True if the cell is undefined, null, or an empty String.
+**/
+function isEmpty(cell)
+{
+    return cell === undefined || cell === null || cell === '';
+}
+
+
+/**
+ * Find the Numbers among a set of cells.
+ *
+ * @param {Array} cells The cells to search. Numbers and numeric Strings
+ *      are included while other cells are skipped.
+ * @return {Array} Array of Number.
+**/
+function findNumbers(cells)
+{
+    var numbers = [];
+    cells.forEach(function (cell) {
+        if (isEmpty(cell) || typeof cell === 'boolean')
+            return;
+        var num = Number(cell);
+        if (!isNaN(num))
+            numbers.push(num);
+    });
+    return numbers;
+}
+
+
+/**
+ * Find the smallest or largest of a set of cells.
+ *
+ * Find the extreme of the non-empty cells in a set, comparing as Numbers if
+ * every one of them is numeric (and not a Date) and with < and > otherwise,
+ * which compares Dates by time.
+ *
+ * @param {Array} cells The cells to search.
+ * @param {Number} sign -1 to find the smallest cell or 1 to find the largest.
+ * @return {Object} The extreme cell (converted to a Number if compared as
+ *      Numbers) or null if every cell is empty.
+**/
+function findExtreme(cells, sign)
+{
+    var values = cells.filter(function (cell) { return !isEmpty(cell); });
+    var hasDates = values.some(function (value) {
+        return value instanceof Date;
+    });
+    var numbers = findNumbers(values);
+    if (!hasDates && numbers.length == values.length)
+        values = numbers;
+
+    var extreme = null;
+    values.forEach(function (value) {
+        if (extreme === null || (sign < 0 ? value < extreme : value > extreme))
+            extreme = value;
+    });
+    return extreme;
+}
+
+
+// Functions taking the cells of a group and the aggregation Object and
+// returning the summary value.
+var aggregators = {
+    count: function (cells, spec) {
+        if (spec.col === undefined)
+            return cells.length;
+        return cells.filter(function (cell) { return !isEmpty(cell); }).length;
+    },
+    sum: function (cells) {
+        return findNumbers(cells).reduce(function (a, b) { return a + b; }, 0);
+    },
+    mean: function (cells) {
+        var numbers = findNumbers(cells);
+        if (numbers.length == 0)
+            return null;
+        var sum = numbers.reduce(function (a, b) { return a + b; }, 0);
+        return sum / numbers.length;
+    },
+    median: function (cells) {
+        var numbers = findNumbers(cells);
+        if (numbers.length == 0)
+            return null;
+        numbers.sort(function (a, b) { return a - b; });
+        var middle = Math.floor(numbers.length / 2);
+        if (numbers.length % 2 == 1)
+            return numbers[middle];
+        return (numbers[middle - 1] + numbers[middle]) / 2;
+    },
+    mode: function (cells) {
+        var getKey = refine_util.createRowKeyFunc([0]);
+        var counts = {};
+        var mode = null;
+        var modeCount = 0;
+        cells.forEach(function (cell) {
+            if (isEmpty(cell))
+                return;
+            var key = getKey([cell]);
+            counts[key] = (counts[key] || 0) + 1;
+            if (counts[key] > modeCount) {
+                mode = cell;
+                modeCount = counts[key];
+            }
+        });
+        return mode;
+    },
+    min: function (cells) {
+        return findExtreme(cells, -1);
+    },
+    max: function (cells) {
+        return findExtreme(cells, 1);
+    },
+    first: function (cells) {
+        return cells.length == 0 ? null : cells[0];
+    },
+    last: function (cells) {
+        return cells.length == 0 ? null : cells[cells.length - 1];
+    },
+    distinct: function (cells) {
+        var getKey = refine_util.createRowKeyFunc([0]);
+        var seen = {};
+        cells.forEach(function (cell) {
+            if (!isEmpty(cell))
+                seen[getKey([cell])] = true;
+        });
+        return Object.keys(seen).length;
+    },
+    join: function (cells, spec) {
+        var separator = spec.separator === undefined ? ', ' : spec.separator;
+        return cells.filter(function (cell) {
+            return !isEmpty(cell);
+        }).map(String).join(separator);
+    }
+};
+
+
+/**
+ * The names of the available aggregators.
+**/
+exports.NAMES = Object.keys(aggregators);
+
+
+/**
+ * Summarize a set of cells.
+ *
+ * Summarize cells with an aggregator: count (number of rows or, if the spec
+ * has a col, of non-empty cells), sum, mean and median (of numeric cells,
+ * null if there are none), mode (most common non-empty cell, the first to
+ * reach that count on ties), min and max (compared as Numbers if all non-empty
+ * cells are numeric), first, last, distinct (number of distinct non-empty
+ * cells), or join (non-empty cells joined by the spec's separator, defaulting
+ * to ', ').
+ *
+ * @param {String} name The name of the aggregator to use.
+ * @param {Array} cells The cells to summarize.
+ * @param {Object} spec The Object describing the aggregation, which may have
+ *      col and separator attributes.
+ * @return {Object} The summary value.
+ * @throws Raises an Error if the aggregator is unknown.
+**/
+exports.aggregate = function(name, cells, spec)
+{
+    if (!aggregators.hasOwnProperty(name))
+        throw new Error('Unknown aggregator: ' + name);
+    return aggregators[name](cells, spec);
+};
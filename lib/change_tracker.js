@@ -0,0 +1,329 @@
+/**
+ * Logic for recording the changes each refinement operation makes.
+ *
+ * Logic that follows rows and columns back to their positions in the original
+ * dataset as operations run, recording which original rows and columns each
+ * operation removed and which cells each operation changed or created.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+
+/**
+ * Create an Array of the integers from 0 up to but not including a number.
+ *
+ * @param {Number} length The number of integers.
+ * @return {Array} Array of Number [0, 1, ..., length - 1].
+**/
+function range(length)
+{
+    var retVal = [];
+    for (var i=0; i<length; i++)
+        retVal.push(i);
+    return retVal;
+}
+
+
+/**
+ * Determine if a row or column origin refers to the original dataset.
+ *
+ * @param {Object} origin The origin (see ChangeTracker) to check.
+ * @return {boolean} True if the origin is the index (Number) of a row or
+ *      column in the original dataset and false if the row or column was
+ *      created by an operation.
+**/
+function isOriginal(origin)
+{
+    return typeof origin === 'number';
+}
+
+
+/**
+ * Record of the changes made by each operation in a recipe.
+ *
+ * Record of changes made to a dataset by each operation in a recipe, given in
+ * terms of the row and column indices of the original dataset. Operations
+ * report their changes through keepRows, keepCols, transpose, and changeCell
+ * while running. Rows or columns not present in the original dataset (like
+ * those created by an operation) have null as their original index.
+ *
+ * @param {Number} numRows The number of rows in the original dataset.
+ * @param {Number} numCols The number of columns in the original dataset.
+**/
+exports.ChangeTracker = function(numRows, numCols)
+{
+    // Origins are indices in the original dataset or, for rows and columns
+    // created by an operation, String ids unique to each created row or column.
+    var rowOrigins = range(numRows);
+    var colOrigins = range(numCols);
+    var transposed = false;
+    var steps = [];
+    var currentStep = null;
+    var numCreated = 0;
+    var createdSteps = {};
+    var cellSteps = {};
+
+    // Create an origin for a row or column created by the current operation.
+    var createOrigin = function () {
+        var origin = 'created' + numCreated;
+        numCreated++;
+        createdSteps[origin] = currentStep === null ? null : currentStep.step;
+        return origin;
+    };
+
+    // Create the key for the cell at the given current indices in cellSteps.
+    var getCellKey = function (rowIndex, colIndex) {
+        var rowOrigin = rowOrigins[rowIndex];
+        var colOrigin = colOrigins[colIndex];
+        if (transposed)
+            return colOrigin + ',' + rowOrigin;
+        else
+            return rowOrigin + ',' + colOrigin;
+    };
+
+    // Record the removal of the rows (or columns if transposed) at the given
+    // original indices.
+    var reportRemoved = function (origins, keptOrigins, isRows) {
+        var kept = {};
+        keptOrigins.forEach(function (origin) {
+            kept[origin] = true;
+        });
+        var removed = origins.filter(function (origin) {
+            return isOriginal(origin) && !kept[origin];
+        });
+
+        var target = isRows !== transposed ? 'removedRows' : 'removedCols';
+        currentStep[target].push.apply(currentStep[target], removed);
+    };
+
+    /**
+     * Indicate that an operation is about to run.
+     *
+     * @param {Number} step The index of the operation in the recipe.
+     * @param {String} operation The name of the operation.
+    **/
+    this.beginStep = function (step, operation)
+    {
+        currentStep = {
+            step: step,
+            operation: operation,
+            removedRows: [],
+            removedCols: [],
+            changedCells: []
+        };
+        steps.push(currentStep);
+    };
+
+    /**
+     * Indicate that the current operation finished.
+     *
+     * Indicate that the current operation finished, forgetting the origins of
+     * rows and columns if the operation changed the size of the dataset
+     * without reporting how.
+     *
+     * @param {Array} newTargetRows The dataset produced by the operation.
+    **/
+    this.endStep = function (newTargetRows)
+    {
+        if (rowOrigins.length != newTargetRows.length)
+            rowOrigins = newTargetRows.map(createOrigin);
+
+        var numCols = 0;
+        newTargetRows.forEach(function (row) {
+            numCols = Math.max(numCols, row.length);
+        });
+        if (colOrigins.length != numCols)
+            colOrigins = range(numCols).map(createOrigin);
+
+        currentStep = null;
+    };
+
+    /**
+     * Report that an operation kept (and possibly reordered) some rows.
+     *
+     * @param {Array} indices Array of Number. The nth element is the index of
+     *      the row (before the operation) that became the nth row. May contain
+     *      null for new rows.
+    **/
+    this.keepRows = function (indices)
+    {
+        var newRowOrigins = indices.map(function (i) {
+            return i === null ? createOrigin() : rowOrigins[i];
+        });
+        reportRemoved(rowOrigins, newRowOrigins, true);
+        rowOrigins = newRowOrigins;
+    };
+
+    /**
+     * Report that an operation kept (and possibly reordered) some columns.
+     *
+     * @param {Array} indices Array of Number. The nth element is the index of
+     *      the column (before the operation) that became the nth column. May
+     *      contain null for new columns.
+    **/
+    this.keepCols = function (indices)
+    {
+        var newColOrigins = indices.map(function (i) {
+            return i === null ? createOrigin() : colOrigins[i];
+        });
+        reportRemoved(colOrigins, newColOrigins, false);
+        colOrigins = newColOrigins;
+    };
+
+    /**
+     * Report that an operation switched the rows and columns of the dataset.
+     *
+     * @param {boolean} hasHeader True if the dataset had a header row that was
+     *      transposed with it (see structure_ops.transpose), making the first
+     *      column the new header and the old header the first column.
+    **/
+    this.transpose = function (hasHeader)
+    {
+        var newRowOrigins = colOrigins;
+        var newColOrigins = rowOrigins;
+        if (hasHeader) {
+            newRowOrigins = newRowOrigins.slice(1);
+            newColOrigins = [createOrigin()].concat(newColOrigins);
+        }
+
+        rowOrigins = newRowOrigins;
+        colOrigins = newColOrigins;
+        transposed = !transposed;
+    };
+
+    /**
+     * Report that an operation changed the value of a cell.
+     *
+     * @param {Number} rowIndex The index of the cell's row.
+     * @param {Number} colIndex The index of the cell's column.
+     * @param {Object} oldVal The value before the change.
+     * @param {Object} newVal The value after the change.
+     * @param {Object} rule Description of the rule that caused the change like
+     *      the index of a replace rule.
+    **/
+    this.changeCell = function (rowIndex, colIndex, oldVal, newVal, rule)
+    {
+        var cellKey = getCellKey(rowIndex, colIndex);
+        if (cellSteps[cellKey] === undefined)
+            cellSteps[cellKey] = [];
+        if (cellSteps[cellKey].indexOf(currentStep.step) == -1)
+            cellSteps[cellKey].push(currentStep.step);
+
+        var origin = this.findOrigin(rowIndex, colIndex);
+        currentStep.changedCells.push({
+            row: origin.row,
+            col: origin.col,
+            old: oldVal,
+            new: newVal,
+            rule: rule
+        });
+    };
+
+    /**
+     * Find where a cell of the current dataset was in the original dataset.
+     *
+     * @param {Number} rowIndex The index of the cell's row.
+     * @param {Number} colIndex The index of the cell's column.
+     * @return {Object} Object with row and col attributes, the indices of the
+     *      cell in the original dataset or null if not known.
+    **/
+    this.findOrigin = function (rowIndex, colIndex)
+    {
+        var rowOrigin = rowOrigins[rowIndex];
+        var colOrigin = colOrigins[colIndex];
+        if (!isOriginal(rowOrigin))
+            rowOrigin = null;
+        if (!isOriginal(colOrigin))
+            colOrigin = null;
+
+        if (transposed)
+            return {row: colOrigin, col: rowOrigin};
+        else
+            return {row: rowOrigin, col: colOrigin};
+    };
+
+    /**
+     * Get the changes recorded for each operation.
+     *
+     * @return {Object} Object with a steps attribute: an Array with an Object
+     *      for each operation with step (index in the recipe), operation
+     *      (name), removedRows and removedCols (original indices), and
+     *      changedCells (Array of Object with original row and col indices,
+     *      old and new values, and the rule causing the change) attributes.
+    **/
+    this.getReport = function ()
+    {
+        return {steps: steps};
+    };
+
+    /**
+     * Find where each cell of the current dataset came from.
+     *
+     * @param {Array} targetRows The current dataset (Array of Array) without
+     *      its header row.
+     * @return {Array} Array of Array of Object with an entry for each cell of
+     *      targetRows. Each entry has row and col attributes (the indices of
+     *      the cell in the original dataset or null if the cell's row or
+     *      column was created by an operation) and a steps attribute (Array of
+     *      the Number indices in the recipe of the operations that created or
+     *      changed the cell in the order they ran).
+    **/
+    this.getLineage = function (targetRows)
+    {
+        var self = this;
+        return targetRows.map(function (row, rowIndex) {
+            return row.map(function (cell, colIndex) {
+                var origin = self.findOrigin(rowIndex, colIndex);
+
+                var cellStepSet = {};
+                [rowOrigins[rowIndex], colOrigins[colIndex]].forEach(
+                    function (lineOrigin) {
+                        var createdStep = createdSteps[lineOrigin];
+                        if (createdStep !== undefined && createdStep !== null)
+                            cellStepSet[createdStep] = true;
+                    }
+                );
+                var changedSteps = cellSteps[getCellKey(rowIndex, colIndex)];
+                if (changedSteps !== undefined) {
+                    changedSteps.forEach(function (step) {
+                        cellStepSet[step] = true;
+                    });
+                }
+
+                var stepList = Object.keys(cellStepSet).map(Number);
+                stepList.sort(function (a, b) { return a - b; });
+
+                return {row: origin.row, col: origin.col, steps: stepList};
+            });
+        });
+    };
+};
+
+
+// Tracker used when changes are not being recorded.
+var nullTracker = {
+    beginStep: function () {},
+    endStep: function () {},
+    keepRows: function () {},
+    keepCols: function () {},
+    transpose: function () {},
+    changeCell: function () {}
+};
+
+
+/**
+ * Get the tracker operations should report their changes to.
+ *
+ * @param {Object} context Information about the dataset being operated on as
+ *      passed to an operation. May be undefined.
+ * @return {Object} The ChangeTracker in the context's tracker attribute or a
+ *      tracker that ignores all reports if there is none.
+**/
+exports.fromContext = function(context)
+{
+    if (context && context.tracker)
+        return context.tracker;
+    else
+        return nullTracker;
+};
@@ -0,0 +1,362 @@
+/**
+ * Logic for the simple-table-refine command line tool.
+ *
+ * Logic for applying a recipe stored in a JSON file to a dataset read from a
+ * file or standard input, writing the refined dataset to a file or standard
+ * output as CSV, TSV, or JSON.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var fs = require('fs');
+var path = require('path');
+
+var csv = require('./csv');
+var simple_table_refine = require('./simple_table_refine');
+
+var USAGE = [
+    'Usage: simple-table-refine --recipe FILE [options] [INPUT]',
+    '       simple-table-refine --profile [options] [INPUT]',
+    '',
+    'Refine the dataset in INPUT (or standard input if INPUT is missing or -)',
+    'using the operations in a JSON recipe file.',
+    '',
+    'Options:',
+    '  -r, --recipe FILE     JSON file with an operation, an Array of',
+    '                        operations, or named pipelines of operations.',
+    '  -p, --pipeline NAME   Named pipeline in the recipe file to run.',
+    '  -o, --output FILE     File to write to instead of standard output.',
+    '  -f, --from FORMAT     Input format: csv, tsv, or json. Defaults to the',
+    '                        input file extension or csv.',
+    '  -t, --to FORMAT       Output format: csv, tsv, or json. Defaults to the',
+    '                        output file extension or the input format.',
+    '  --header              Treat the first row as column names.',
+    '  --profile             Write a JSON report describing each column',
+    '                        instead of refining.',
+    '  -h, --help            Show this message.',
+    ''
+].join('\n');
+
+var FORMATS = ['csv', 'tsv', 'json'];
+
+// Command line flags taking a value by long and short name.
+var VALUE_FLAGS = {
+    '--recipe': 'recipe',
+    '-r': 'recipe',
+    '--pipeline': 'pipeline',
+    '-p': 'pipeline',
+    '--output': 'output',
+    '-o': 'output',
+    '--from': 'from',
+    '-f': 'from',
+    '--to': 'to',
+    '-t': 'to'
+};
+
+
+/**
+ * Guess the format of a dataset file from its extension.
+ *
+ * @param {String} filePath The path of the file or undefined.
+ * @return {String} The format (see FORMATS) or null if it could not be
+ *      determined.
+**/
+function findFormat(filePath)
+{
+    if (filePath === undefined || filePath === '-')
+        return null;
+
+    var extension = path.extname(filePath).substr(1).toLowerCase();
+    return FORMATS.indexOf(extension) == -1 ? null : extension;
+}
+
+
+/**
+ * Interpret the arguments given to the command line tool.
+ *
+ * @param {Array} args Array of String arguments (without the node executable
+ *      and script path).
+ * @return {Object} Object with recipe, pipeline, output, input, from, and to
+ *      (String or undefined) and header, profile, and help (boolean)
+ *      attributes.
+ * @throws Raises an Error describing any invalid or missing argument.
+**/
+exports.parseArgs = function(args)
+{
+    var settings = {header: false, profile: false, help: false};
+    var inputs = [];
+
+    var numArgs = args.length;
+    for (var i=0; i<numArgs; i++) {
+        var arg = args[i];
+        if (VALUE_FLAGS.hasOwnProperty(arg)) {
+            if (i + 1 >= numArgs)
+                throw new Error('Missing value for ' + arg + '.');
+            i++;
+            settings[VALUE_FLAGS[arg]] = args[i];
+        } else if (arg === '--header') {
+            settings.header = true;
+        } else if (arg === '--profile') {
+            settings.profile = true;
+        } else if (arg === '--help' || arg === '-h') {
+            settings.help = true;
+        } else if (arg.charAt(0) === '-' && arg !== '-') {
+            throw new Error('Unknown option ' + arg + '.');
+        } else {
+            inputs.push(arg);
+        }
+    }
+
+    if (settings.help)
+        return settings;
+
+    if (inputs.length > 1)
+        throw new Error('Expected at most one input file.');
+    settings.input = inputs[0];
+
+    if (settings.recipe === undefined && !settings.profile)
+        throw new Error('Missing --recipe.');
+
+    if (settings.from === undefined)
+        settings.from = findFormat(settings.input) || 'csv';
+    if (settings.to === undefined)
+        settings.to = findFormat(settings.output) || settings.from;
+
+    [settings.from, settings.to].forEach(function (format) {
+        if (FORMATS.indexOf(format) == -1) {
+            throw new Error(
+                'Unknown format ' + format + '. Expected one of ' +
+                FORMATS.join(', ') + '.'
+            );
+        }
+    });
+
+    return settings;
+};
+
+
+/**
+ * Find the operations to run in the contents of a recipe file.
+ *
+ * @param {Object} recipe The parsed recipe file. May be an operation, an Array
+ *      of operations, or an Object with an Array of operations for each named
+ *      pipeline.
+ * @param {String} pipeline The name of the pipeline to run or undefined. May
+ *      only be omitted if the recipe is not made of named pipelines or if it
+ *      has exactly one pipeline.
+ * @return {Object or Array} The operation(s) to run (see refine).
+ * @throws Raises an Error if the pipeline could not be found.
+**/
+exports.selectPipeline = function(recipe, pipeline)
+{
+    if (recipe instanceof Array || recipe.operation !== undefined) {
+        if (pipeline !== undefined)
+            throw new Error('Recipe file does not have named pipelines.');
+        return recipe;
+    }
+
+    var names = Object.keys(recipe);
+    if (pipeline === undefined) {
+        if (names.length == 1)
+            return recipe[names[0]];
+        throw new Error(
+            'Recipe file has more than one pipeline. Choose one of ' +
+            names.join(', ') + ' with --pipeline.'
+        );
+    }
+
+    if (!recipe.hasOwnProperty(pipeline)) {
+        throw new Error(
+            'Recipe file has no pipeline named ' + pipeline + '. Expected ' +
+            'one of ' + names.join(', ') + '.'
+        );
+    }
+    return recipe[pipeline];
+};
+
+
+/**
+ * Read a dataset from text in the given format.
+ *
+ * @param {String} text The text to parse.
+ * @param {String} format The format of the text (see FORMATS).
+ * @return {Array} The dataset (Array of Array).
+ * @throws Raises an Error if the text could not be parsed.
+**/
+function parseDataset(text, format)
+{
+    if (format !== 'json')
+        return csv.parse(text, {delimiter: format === 'tsv' ? '\t' : ','});
+
+    var targetRows = JSON.parse(text);
+    var isTable = targetRows instanceof Array && targetRows.every(
+        function (row) { return row instanceof Array; }
+    );
+    if (!isTable)
+        throw new Error('JSON input must be an Array of Array.');
+    return targetRows;
+}
+
+
+/**
+ * Write a dataset as text in the given format.
+ *
+ * @param {Array} targetRows The dataset (Array of Array) to write.
+ * @param {String} format The format to write (see FORMATS).
+ * @return {String} The dataset as text.
+**/
+function formatDataset(targetRows, format)
+{
+    if (format === 'json')
+        return JSON.stringify(targetRows) + '\n';
+
+    return csv.stringify(targetRows, {
+        delimiter: format === 'tsv' ? '\t' : ',',
+        newline: '\n'
+    });
+}
+
+
+/**
+ * Describe a violation found by a validate operation for standard error.
+ *
+ * @param {Object} violation The violation with step, row, col, value, and
+ *      rule attributes (see the validate operation).
+ * @return {String} Description of the violation.
+**/
+function describeViolation(violation)
+{
+    var value = violation.value === undefined ? null : violation.value;
+    return 'step ' + violation.step + ' row ' + violation.row + ' col ' +
+        violation.col + ' (' + JSON.stringify(value) + ') breaks ' +
+        violation.rule + '.';
+}
+
+
+/**
+ * Read all of the text from a stream.
+ *
+ * @param {stream.Readable} inputStream The stream to read.
+ * @param {function} callback Function to call with an error (or null) and the
+ *      text read.
+**/
+function readStream(inputStream, callback)
+{
+    var chunks = [];
+    inputStream.setEncoding('utf8');
+    inputStream.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    inputStream.on('error', function (err) {
+        callback(err);
+    });
+    inputStream.on('end', function () {
+        callback(null, chunks.join(''));
+    });
+}
+
+
+/**
+ * Run the command line tool.
+ *
+ * Read a recipe file and dataset, refine the dataset, and write the result
+ * where requested by the command line arguments. With --profile, write a
+ * JSON report describing each column of the dataset instead.
+ *
+ * @param {Array} args Array of String arguments (see parseArgs).
+ * @param {stream.Readable} stdin The stream to read the dataset from if no
+ *      input file is given.
+ * @param {stream.Writable} stdout The stream to write the refined dataset (or
+ *      usage information) to if no output file is given.
+ * @param {function} onFinish Function to call once finished. Will be passed a
+ *      String describing the error encountered (or undefined on success) and
+ *      an Array of String warnings describing the violations found by
+ *      validate operations that did not fail the recipe.
+**/
+exports.run = function(args, stdin, stdout, onFinish)
+{
+    var settings;
+    var operations;
+    try {
+        settings = exports.parseArgs(args);
+        if (settings.help) {
+            stdout.write(USAGE);
+            onFinish();
+            return;
+        }
+
+        if (!settings.profile) {
+            var recipeText = fs.readFileSync(settings.recipe, 'utf8');
+            operations = exports.selectPipeline(
+                JSON.parse(recipeText),
+                settings.pipeline
+            );
+        }
+    } catch (err) {
+        onFinish(err.message);
+        return;
+    }
+
+    var writeText = function (text, warnings) {
+        if (warnings === undefined)
+            warnings = [];
+
+        if (settings.output === undefined || settings.output === '-') {
+            stdout.write(text);
+            onFinish(undefined, warnings);
+            return;
+        }
+
+        fs.writeFile(settings.output, text, 'utf8', function (err) {
+            onFinish(err ? err.message : undefined, warnings);
+        });
+    };
+
+    var writeOutput = function (newTargetRows, report) {
+        var violations = report ? report.violations || [] : [];
+        writeText(
+            formatDataset(newTargetRows, settings.to),
+            violations.map(describeViolation)
+        );
+    };
+
+    var refineText = function (err, text) {
+        if (err) {
+            onFinish(err.message);
+            return;
+        }
+
+        var targetRows;
+        try {
+            targetRows = parseDataset(text, settings.from);
+        } catch (err) {
+            onFinish('Could not read input: ' + err.message);
+            return;
+        }
+
+        if (settings.profile) {
+            var report = simple_table_refine.profile(
+                targetRows,
+                {headerRow: settings.header}
+            );
+            writeText(JSON.stringify(report, null, 2) + '\n');
+            return;
+        }
+
+        simple_table_refine.refine(
+            operations,
+            targetRows,
+            writeOutput,
+            function (err) {
+                onFinish('Refining failed: ' + err);
+            },
+            {headerRow: settings.header}
+        );
+    };
+
+    if (settings.input === undefined || settings.input === '-')
+        readStream(stdin, refineText);
+    else
+        fs.readFile(settings.input, 'utf8', refineText);
+};
@@ -5,6 +5,7 @@
  * @license MIT
 **/
 
+var change_tracker = require('./change_tracker');
 var refine_util = require('./refine_util');
 
 
@@ -13,7 +14,8 @@ var refine_util = require('./refine_util');
  *
  * @param {Array} valueIndexIgnoreRules An Array of Object, each object with a
  *      row (integer) index and val attribute. A column will be reported if the
- *      value is found at that row.
+ *      value is found at that row. An optional test attribute (see
+ *      refine_util.createValueMatcher) changes how the value is compared.
  * @param {Array} targetRows The 2D Array (table, dataset, Array of Array of
  *      Object) to operate on.
  * @return {Array} The modified dataset (table, 2D Array, Array of Array of
@@ -27,12 +29,13 @@ function findColsByVal(valueIndexIgnoreRules, targetRows)
     // reporting columns that match, adding them to matchedCols.
     var checkRows = function(currentRule, targetRows)
     {
+        var matchesVal = refine_util.createValueMatcher(currentRule);
         var numRows = targetRows.length;
         for (var rowIndex=0; rowIndex<numRows; rowIndex++) {
             var targetRow = targetRows[rowIndex];
             var numCols = targetRow.length;
             for (var colIndex=0; colIndex<numCols; colIndex++) {
-                if (targetRow[colIndex] === currentRule.val)
+                if (matchesVal(targetRow[colIndex]))
                     matchedCols.push(colIndex);
             }
         }
@@ -88,12 +91,12 @@ function findColsByCombinedVals(rules, targetRows)
 
     // Check a set of rows for columns that contain all of a set of values,
     // reporting matched columns by adding them to the matchedCols Array.
-    var checkRows = function (targetRows, subRule, colIndex) {
+    var checkRows = function (targetRows, matchesVal, colIndex) {
         var numRows = targetRows.length;
         for(var rowIndex=0; rowIndex<numRows; rowIndex++) {
             var targetRow = targetRows[rowIndex];
             if (targetRow.length > colIndex) {
-                if(targetRow[colIndex] === subRule.val)
+                if(matchesVal(targetRow[colIndex]))
                     return true;
             }
         }
@@ -104,6 +107,7 @@ function findColsByCombinedVals(rules, targetRows)
     var valueSearchRules = rules.filter(function (rule) {
         return rule.val !== undefined;
     });
+    var valueMatchers = valueSearchRules.map(refine_util.createValueMatcher);
 
     var runValueSearchRules = function(colIndex)
     {
@@ -112,6 +116,7 @@ function findColsByCombinedVals(rules, targetRows)
         var numSubRules = valueSearchRules.length;
         for(var i=0; i<numSubRules; i++) {
             var subRule = valueSearchRules[i];
+            var matchesVal = valueMatchers[i];
 
             // Go through each component of the current rule to check for a
             // match.
@@ -119,7 +124,7 @@ function findColsByCombinedVals(rules, targetRows)
 
             // Only use columns specified by user spec
             if (rowIndices === refine_util.ANY_OPT) {
-                if(!checkRows(targetRows, subRule, colIndex))
+                if(!checkRows(targetRows, matchesVal, colIndex))
                     matched = false;
             } else {
                 // Find the rows that match the user's selection options.
@@ -128,7 +133,7 @@ function findColsByCombinedVals(rules, targetRows)
                 });
 
                 var targetRow = targetRows[subRule.row];
-                if(!checkRows(ruleRows, subRule, colIndex))
+                if(!checkRows(ruleRows, matchesVal, colIndex))
                     matched = false;
             }
         }
@@ -190,6 +195,54 @@ function removeCols(targetRows, cols)
 }
 
 
+/**
+ * Replace column names used in index rules with the indices of those columns.
+ *
+ * Replace column names (Strings found in the header row) given as the index
+ * of index rules with the corresponding column indices, descending into allOf
+ * rules. Strings not found in the header that start with a comparison operator
+ * are left alone so that they may still be interpreted as inequalities. The
+ * provided rules are not modified.
+ *
+ * @param {Array} rules An Array of Object describing rules as passed to
+ *      ignoreColIf.
+ * @param {Array} header Array of column names or null if the dataset does not
+ *      have a header row.
+ * @return {Array} Copy of rules with column names resolved to indices.
+ * @throws Raises an Error if an index is a String that is neither a column
+ *      name nor an inequality.
+**/
+function resolveIndexNames(rules, header)
+{
+    var resolveName = function (index) {
+        var isString = index instanceof String || typeof index === 'string';
+        if (!isString)
+            return index;
+        if (header && header.indexOf(index) != -1)
+            return header.indexOf(index);
+        if (!refine_util.isComparison(index))
+            throw new Error('Unknown column name: ' + index);
+        return index;
+    };
+
+    return rules.map(function (rule) {
+        var newRule = {};
+        for (var key in rule)
+            newRule[key] = rule[key];
+
+        if (rule.index instanceof Array)
+            newRule.index = rule.index.map(resolveName);
+        else if (rule.index !== undefined)
+            newRule.index = resolveName(rule.index);
+
+        if (rule.allOf !== undefined)
+            newRule.allOf = resolveIndexNames(rule.allOf, header);
+
+        return newRule;
+    });
+}
+
+
 /**
  * Remove columns from the given table of values if they satisfy certain rules.
  *
@@ -203,15 +256,24 @@ function removeCols(targetRows, cols)
  *      original dataset will not be modified.
  * @param {Array} params The specifications to build the rules from. Each
  *      element should of form {index: int}, {col: int, value: primitive}, or
- *      {allOf: [{col: int, value: primitive}, ...]}.
+ *      {allOf: [{col: int, value: primitive}, ...]}. If the dataset has a
+ *      header row, index may also be a column name.
  * @param {function} onSuccess The function to call after a copy of the dataset
- *      has been modified. This function should take a single parameter: the
- *      modified copy of the original dataset.
+ *      has been modified. This function should take the modified copy of the
+ *      original dataset and the header row with the same columns removed.
+ * @param {function} onError The function to call if an error is enountered.
+ *      Should take a single parameter (String) that describes the error
+ *      encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
 **/
-exports.ignoreColIf = function(targetRows, params, onSuccess, onError)
+exports.ignoreColIf = function(targetRows, params, onSuccess, onError, context)
 {
+    var header = context ? context.header : null;
     var colIndicesToIgnore = [];
 
+    params = resolveIndexNames(params, header);
+
     // Add list of column indices that the user specified to remove to the
     // actual list of column indices to remove.
     var colIndexIgnoreRules = params.filter(function (e) {
@@ -252,6 +314,15 @@ exports.ignoreColIf = function(targetRows, params, onSuccess, onError)
         return parseInt(e);
     });
 
-    // Remove the columns at the specified indices.
-    onSuccess(removeCols(targetRows, colIndicesToIgnore));
+    var keptIndices = [];
+    var maxNumCols = refine_util.findMaxNumCols(targetRows);
+    for (var i=0; i<maxNumCols; i++) {
+        if (colIndicesToIgnore.indexOf(i) == -1)
+            keptIndices.push(i);
+    }
+    change_tracker.fromContext(context).keepCols(keptIndices);
+
+    // Remove the columns at the specified indices, keeping the header aligned.
+    var newHeader = header ? removeCols([header], colIndicesToIgnore)[0] : null;
+    onSuccess(removeCols(targetRows, colIndicesToIgnore), newHeader);
 }
\ No newline at end of file
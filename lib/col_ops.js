@@ -0,0 +1,371 @@
+/**
+ * Logic for adding, splitting, and merging columns.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var change_tracker = require('./change_tracker');
+var expr = require('./expr');
+var refine_util = require('./refine_util');
+
+
+/**
+ * Add a column to a dataset, padding short rows so the column lines up.
+ *
+ * @param {Array} targetRows The Array of Array to add the column to. This
+ *      dataset will not be modified.
+ * @param {Number} colIndex The index the new column should have.
+ * @param {function} createVal Function taking a row and its index and
+ *      returning the value of the new column for that row.
+ * @return {Array} Copy of targetRows with the new column.
+**/
+function insertCol(targetRows, colIndex, createVal)
+{
+    return targetRows.map(function (row, rowIndex) {
+        var newRow = row.slice();
+        while (newRow.length < colIndex)
+            newRow.push(null);
+        newRow.splice(colIndex, 0, createVal(row, rowIndex));
+        return newRow;
+    });
+}
+
+
+/**
+ * Determine if a resolved column reference is a usable column index.
+ *
+ * @param {Object} colIndex The resolved column reference (see
+ *      refine_util.resolveColIndex).
+ * @return {boolean} True if colIndex is an integer of at least 0.
+**/
+function isColIndex(colIndex)
+{
+    return typeof colIndex === 'number' && colIndex % 1 === 0 &&
+        colIndex >= 0;
+}
+
+
+/**
+ * Add a column whose values are computed from the other cells in each row.
+ *
+ * Add a column computed from each row either through an expression (see
+ * expr.compile) like "$Price * $Quantity" that can be stored in a JSON recipe
+ * or through a function when refining from code. The new column is added at
+ * the end of each row unless another position is given.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with an expr attribute (String expression or
+ *      function taking a row, the row's index, and the header row or null and
+ *      returning the new cell value), a name attribute for the new column in
+ *      the header row (required if the dataset has a header row), and an
+ *      optional at attribute (column index or name) giving the position the
+ *      new column should be inserted at.
+ * @param {function} onSuccess The function to call after the column is added.
+ *      Should take the modified dataset and the new header row (null if there
+ *      is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.deriveCol = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+
+    if (header && params.name === undefined) {
+        onError('deriveCol needs a name for the new column in the header row.');
+        return;
+    }
+
+    var createVal;
+    if (typeof params.expr === 'function') {
+        createVal = function (row, rowIndex) {
+            return params.expr(row, rowIndex, header);
+        };
+    } else {
+        createVal = expr.compile(params.expr, header);
+    }
+
+    var numCols = refine_util.findNumCols(targetRows, header);
+
+    var colIndex = numCols;
+    if (params.at !== undefined)
+        colIndex = refine_util.resolveColIndex(params.at, header);
+
+    var keptIndices = [];
+    for (var i=0; i<Math.max(numCols, colIndex); i++)
+        keptIndices.push(i);
+    keptIndices.splice(colIndex, 0, null);
+    change_tracker.fromContext(context).keepCols(keptIndices);
+
+    var newHeader = null;
+    if (header) {
+        newHeader = insertCol([header], colIndex, function () {
+            return params.name;
+        })[0];
+    }
+
+    onSuccess(insertCol(targetRows, colIndex, createVal), newHeader);
+};
+
+
+/**
+ * Create a function that splits text around a delimiter or pattern.
+ *
+ * @param {Object} params The splitCol params with a delimiter (String) or
+ *      regex (String regular expression) attribute and an optional flags
+ *      attribute for the regular expression.
+ * @return {function} Function taking a String and returning an Array of
+ *      Object, one per separator found in order, each with index and length
+ *      attributes.
+**/
+function createSeparatorFinder(params)
+{
+    if (params.regex === undefined) {
+        var delimiter = params.delimiter;
+        return function (text) {
+            var separators = [];
+            var index = text.indexOf(delimiter);
+            while (index != -1 && delimiter !== '') {
+                separators.push({index: index, length: delimiter.length});
+                index = text.indexOf(delimiter, index + delimiter.length);
+            }
+            return separators;
+        };
+    }
+
+    var flags = params.flags === undefined ? '' : params.flags;
+    if (flags.indexOf('g') == -1)
+        flags += 'g';
+    var regex = new RegExp(params.regex, flags);
+    return function (text) {
+        var separators = [];
+        var match;
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length == 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            separators.push({index: match.index, length: match[0].length});
+        }
+        return separators;
+    };
+}
+
+
+/**
+ * Split one column into several columns.
+ *
+ * Split the text in a column around a delimiter or regular expression into a
+ * fixed number of new columns that replace the original column (or follow it
+ * if keep is true). Every row gets the same number of new cells so that later
+ * index based rules still line up.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with a col attribute (column index or name),
+ *      a delimiter (String) or regex (String regular expression with an
+ *      optional flags attribute) attribute, and an into attribute with either
+ *      the Number of columns to create or an Array of names for the new
+ *      columns. The optional fill attribute (defaults to null) is used for
+ *      missing parts when a cell has too few parts. The optional overflow
+ *      attribute controls cells with too many parts: 'merge' (default) leaves
+ *      the rest of the text in the last new column, 'drop' discards the extra
+ *      parts, and 'error' reports an error. If keep is true, the original
+ *      column is kept.
+ * @param {function} onSuccess The function to call after the column is split.
+ *      Should take the modified dataset and the new header row (null if there
+ *      is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.splitCol = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var colIndex = refine_util.resolveColIndex(params.col, header);
+    if (!isColIndex(colIndex)) {
+        onError('splitCol cannot split column ' + params.col + '.');
+        return;
+    }
+
+    var findSeparators = createSeparatorFinder(params);
+    var fill = params.fill === undefined ? null : params.fill;
+    var overflow = params.overflow === undefined ? 'merge' : params.overflow;
+
+    var numParts = params.into;
+    var names = null;
+    if (params.into instanceof Array) {
+        numParts = params.into.length;
+        names = params.into;
+    } else if (header) {
+        names = [];
+        for (var i=0; i<numParts; i++)
+            names.push(header[colIndex] + '_' + (i + 1));
+    }
+
+    if (numParts < 1) {
+        onError('splitCol needs at least one column to split into.');
+        return;
+    }
+
+    var splitCell = function (cell, rowIndex) {
+        var parts = [];
+        if (cell !== undefined && cell !== null) {
+            var text = String(cell);
+            var separators = findSeparators(text);
+            if (separators.length >= numParts && overflow === 'error') {
+                throw new Error(
+                    'Row ' + rowIndex + ' has ' + (separators.length + 1) +
+                    ' parts in column ' + params.col + ' but expected ' +
+                    numParts + '.'
+                );
+            }
+
+            var start = 0;
+            var numSplits = Math.min(separators.length, numParts - 1);
+            for (var i=0; i<numSplits; i++) {
+                parts.push(text.substring(start, separators[i].index));
+                start = separators[i].index + separators[i].length;
+            }
+
+            var end = text.length;
+            if (overflow === 'drop' && separators.length >= numParts)
+                end = separators[numParts - 1].index;
+            parts.push(text.substring(start, end));
+        }
+
+        while (parts.length < numParts)
+            parts.push(fill);
+        return parts;
+    };
+
+    var numKept = params.keep ? 1 : 0;
+    var replaceCol = function (row, newCells) {
+        var newRow = row.slice();
+        while (newRow.length <= colIndex)
+            newRow.push(null);
+        var args = [colIndex + numKept, 1 - numKept].concat(newCells);
+        newRow.splice.apply(newRow, args);
+        return newRow;
+    };
+
+    var newTargetRows = targetRows.map(function (row, rowIndex) {
+        return replaceCol(row, splitCell(row[colIndex], rowIndex));
+    });
+
+    var numCols = refine_util.findNumCols(targetRows, header);
+    var keptIndices = [];
+    var newIndices = [];
+    for (var i=0; i<numCols; i++)
+        keptIndices.push(i);
+    for (var i=0; i<numParts; i++)
+        newIndices.push(null);
+    change_tracker.fromContext(context).keepCols(
+        replaceCol(keptIndices, newIndices)
+    );
+
+    var newHeader = header ? replaceCol(header, names) : null;
+    onSuccess(newTargetRows, newHeader);
+};
+
+
+/**
+ * Join several columns into one.
+ *
+ * Join the cells of several columns with a separator into a single column
+ * placed where the first (leftmost) of those columns was. The joined columns
+ * are removed unless keep is true, in which case they follow the new column.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with a cols attribute (Array of column indices
+ *      or names in the order they should be joined), an optional separator
+ *      attribute (String, defaults to a space), an optional name attribute for
+ *      the new column in the header row (defaults to the joined column names
+ *      joined with the separator), an optional skipEmpty attribute (if true,
+ *      empty, null, and missing cells are left out instead of joined as empty
+ *      text), and an optional keep attribute (if true, the joined columns are
+ *      kept).
+ * @param {function} onSuccess The function to call after the columns are
+ *      joined. Should take the modified dataset and the new header row (null
+ *      if there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.mergeCols = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    if (params.cols.length == 0) {
+        onError('mergeCols needs at least one column to merge.');
+        return;
+    }
+
+    var colIndices = params.cols.map(function (col) {
+        return refine_util.resolveColIndex(col, header);
+    });
+    for (var i=0; i<colIndices.length; i++) {
+        if (!isColIndex(colIndices[i])) {
+            onError('mergeCols cannot merge column ' + params.cols[i] + '.');
+            return;
+        }
+    }
+    var separator = params.separator === undefined ? ' ' : params.separator;
+    var firstIndex = Math.min.apply(null, colIndices);
+
+    var numCols = refine_util.findNumCols(targetRows, header);
+    numCols = Math.max(numCols, Math.max.apply(null, colIndices) + 1);
+
+    // Find the columns (before the operation) that make up the new dataset.
+    var keptIndices = [];
+    for (var i=0; i<numCols; i++) {
+        if (i == firstIndex)
+            keptIndices.push(null);
+        if (params.keep || colIndices.indexOf(i) == -1)
+            keptIndices.push(i);
+    }
+
+    var mergeRow = function (row) {
+        var cells = colIndices.map(function (colIndex) {
+            return row[colIndex];
+        });
+        if (params.skipEmpty) {
+            cells = cells.filter(function (cell) {
+                return cell !== undefined && cell !== null && cell !== '';
+            });
+        }
+
+        var mergedCell = cells.map(function (cell) {
+            return cell === undefined || cell === null ? '' : String(cell);
+        }).join(separator);
+
+        return keptIndices.map(function (colIndex) {
+            if (colIndex === null)
+                return mergedCell;
+            return row[colIndex] === undefined ? null : row[colIndex];
+        });
+    };
+
+    change_tracker.fromContext(context).keepCols(keptIndices);
+
+    var newHeader = null;
+    if (header) {
+        var name = params.name;
+        if (name === undefined) {
+            name = colIndices.map(function (colIndex) {
+                return header[colIndex];
+            }).join(separator);
+        }
+        newHeader = keptIndices.map(function (colIndex) {
+            return colIndex === null ? name : header[colIndex];
+        });
+    }
+
+    onSuccess(targetRows.map(mergeRow), newHeader);
+};
@@ -0,0 +1,362 @@
+/**
+ * Logic for reading and writing delimited text (CSV, TSV) tables.
+ *
+ * Logic for converting RFC 4180 style delimited text to the Array of Array
+ * datasets operated on by this library and back again.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+
+var stream = require('stream');
+var string_decoder = require('string_decoder');
+
+var BYTE_ORDER_MARK = '\uFEFF';
+
+var DEFAULT_OPTIONS = {
+    delimiter: ',',
+    quote: '"',
+    newline: '\r\n',
+    stripBom: true,
+    bom: false
+};
+
+
+/**
+ * Fill in defaults for options not specified by the user.
+ *
+ * @param {Object} options The user provided options. May be undefined.
+ * @return {Object} New Object with all of the options in DEFAULT_OPTIONS.
+ * @throws Raises an Error if the delimiter or quote is not a non-empty String.
+**/
+function prepareOptions(options)
+{
+    var retVal = {};
+    for (var name in DEFAULT_OPTIONS)
+        retVal[name] = DEFAULT_OPTIONS[name];
+
+    if (options === undefined)
+        return retVal;
+
+    for (var name in options) {
+        if (options[name] !== undefined)
+            retVal[name] = options[name];
+    }
+
+    ['delimiter', 'quote'].forEach(function (name) {
+        if (typeof retVal[name] !== 'string' || retVal[name] === '')
+            throw new Error('The ' + name + ' must be a non-empty String.');
+    });
+    return retVal;
+}
+
+
+/**
+ * Incremental parser for delimited text (like CSV or TSV).
+ *
+ * Parser for RFC 4180 style delimited text that may be given its input in
+ * pieces, returning each record as soon as it is complete. See parse for the
+ * supported syntax.
+ *
+ * @param {Object} options Optional Object with parse options (see parse).
+**/
+exports.Parser = function(options)
+{
+    options = prepareOptions(options);
+    var delimiter = options.delimiter;
+    var quote = options.quote;
+
+    // Number of characters that must be available past the current position
+    // to know which token the current position starts.
+    var lookahead = Math.max(quote.length * 2, delimiter.length, 2);
+
+    var buffer = '';
+    var started = false;
+    var rows = [];
+    var row = [];
+    var field = '';
+    var fieldStarted = false;
+    var inQuotes = false;
+    var quoteLine = 0;
+    var lineNum = 1;
+
+    var endField = function () {
+        row.push(field);
+        field = '';
+        fieldStarted = false;
+    };
+
+    var endRow = function () {
+        endField();
+        rows.push(row);
+        row = [];
+    };
+
+    // Consume the buffer up to limit, keeping anything after in the buffer.
+    var consume = function (limit) {
+        var text = buffer;
+        var i = 0;
+        while (i < limit) {
+            var character = text.charAt(i);
+
+            if (inQuotes) {
+                if (text.substr(i, quote.length) !== quote) {
+                    if (character === '\n')
+                        lineNum++;
+                    field += character;
+                    i++;
+                } else if (text.substr(i+quote.length, quote.length)===quote) {
+                    field += quote;
+                    i += quote.length * 2;
+                } else {
+                    inQuotes = false;
+                    i += quote.length;
+                }
+            } else if (text.substr(i, delimiter.length) === delimiter) {
+                endField();
+                i += delimiter.length;
+            } else if (character === '\r' || character === '\n') {
+                endRow();
+                lineNum++;
+                if (character === '\r' && text.charAt(i + 1) === '\n')
+                    i += 2;
+                else
+                    i++;
+            } else if (!fieldStarted && text.substr(i,quote.length)===quote) {
+                inQuotes = true;
+                fieldStarted = true;
+                quoteLine = lineNum;
+                i += quote.length;
+            } else {
+                field += character;
+                fieldStarted = true;
+                i++;
+            }
+        }
+        buffer = text.substr(i);
+    };
+
+    /**
+     * Parse the next piece of the delimited text.
+     *
+     * @param {String} text The next piece of text.
+     * @return {Array} Array of Array with the records completed by this piece.
+    **/
+    this.write = function (text)
+    {
+        if (!started && text.length > 0) {
+            started = true;
+            if (options.stripBom && text.charAt(0) === BYTE_ORDER_MARK)
+                text = text.substr(1);
+        }
+
+        buffer += text;
+        consume(buffer.length - lookahead);
+
+        var completedRows = rows;
+        rows = [];
+        return completedRows;
+    };
+
+    /**
+     * Indicate that all of the text has been given to the parser.
+     *
+     * @return {Array} Array of Array with the remaining records.
+     * @throws Raises an Error if a quoted field is not closed.
+    **/
+    this.end = function ()
+    {
+        consume(buffer.length);
+
+        if (inQuotes) {
+            throw new Error(
+                'Unclosed quoted field starting on line ' + quoteLine
+            );
+        }
+
+        if (fieldStarted || row.length > 0)
+            endRow();
+
+        var completedRows = rows;
+        rows = [];
+        return completedRows;
+    };
+};
+
+
+/**
+ * Parse delimited text (like CSV or TSV) into an Array of Array.
+ *
+ * Parse RFC 4180 style delimited text into an Array of Array of String. Fields
+ * may be quoted, in which case they may contain delimiters, line breaks, and
+ * (doubled) quote characters. Records may end in \r\n, \n, or \r. A line break
+ * at the end of the text does not start a new record.
+ *
+ * @param {String} text The delimited text to parse.
+ * @param {Object} options Optional Object with a delimiter (String, defaults to
+ *      ","), quote (String, defaults to '"'), and stripBom (boolean, defaults
+ *      to true) attribute. If stripBom is true, a leading byte order mark will
+ *      be ignored. Use "\t" as the delimiter for TSV.
+ * @return {Array} The parsed Array of Array (dataset, table, 2D array).
+ * @throws Raises an Error if a quoted field is not closed or the delimiter or
+ *      quote is empty.
+**/
+exports.parse = function(text, options)
+{
+    var parser = new exports.Parser(options);
+    var rows = parser.write(text);
+    rows.push.apply(rows, parser.end());
+    return rows;
+};
+
+
+/**
+ * Create a stream that parses delimited text into rows.
+ *
+ * Create a Transform stream that takes delimited text (Buffer or String, see
+ * parse) and emits each record as an Array of String.
+ *
+ * @param {Object} options Optional Object with parse options (see parse) and
+ *      an encoding attribute (String, defaults to utf8) used to decode Buffers.
+ * @return {stream.Transform} Stream writing text and reading Arrays.
+**/
+exports.createParseStream = function(options)
+{
+    var parser = new exports.Parser(options);
+    var encoding = options && options.encoding ? options.encoding : 'utf8';
+    var decoder = new string_decoder.StringDecoder(encoding);
+
+    var pushRows = function (stream, rows) {
+        var numRows = rows.length;
+        for (var i=0; i<numRows; i++)
+            stream.push(rows[i]);
+    };
+
+    return new stream.Transform({
+        readableObjectMode: true,
+        transform: function (chunk, chunkEncoding, callback) {
+            var text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            try {
+                pushRows(this, parser.write(text));
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback();
+        },
+        flush: function (callback) {
+            try {
+                pushRows(this, parser.write(decoder.end()));
+                pushRows(this, parser.end());
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback();
+        }
+    });
+};
+
+
+/**
+ * Convert a single value to a delimited text field.
+ *
+ * @param {Object} value The value to convert. Undefined and null will become
+ *      empty fields and Dates will become ISO 8601 strings.
+ * @param {Object} options The prepared options (see prepareOptions).
+ * @return {String} The field, quoted if needed.
+**/
+function formatField(value, options)
+{
+    if (value === undefined || value === null)
+        return '';
+
+    var str = value instanceof Date ? value.toISOString() : String(value);
+
+    var quote = options.quote;
+    var needsQuotes = str.indexOf(options.delimiter) != -1 ||
+        str.indexOf(quote) != -1 ||
+        str.indexOf('\n') != -1 ||
+        str.indexOf('\r') != -1;
+
+    if (needsQuotes)
+        return quote + str.split(quote).join(quote + quote) + quote;
+    else
+        return str;
+}
+
+
+/**
+ * Convert a single row to a line of delimited text.
+ *
+ * @param {Array} row The Array of values to convert.
+ * @param {Object} options The prepared options (see prepareOptions).
+ * @return {String} The line, including the line break.
+**/
+function formatRow(row, options)
+{
+    var fields = row.map(function (value) {
+        return formatField(value, options);
+    });
+    return fields.join(options.delimiter) + options.newline;
+}
+
+
+/**
+ * Write an Array of Array as delimited text (like CSV or TSV).
+ *
+ * Write a dataset as RFC 4180 style delimited text, quoting fields that
+ * contain the delimiter, the quote character, or line breaks. Every record,
+ * including the last, is followed by a line break.
+ *
+ * @param {Array} targetRows The Array of Array (dataset, table, 2D array) to
+ *      write out.
+ * @param {Object} options Optional Object with a delimiter (String, defaults to
+ *      ","), quote (String, defaults to '"'), newline (String, defaults to
+ *      "\r\n"), and bom (boolean, defaults to false) attribute. If bom is true,
+ *      the text will start with a byte order mark.
+ * @return {String} The delimited text.
+ * @throws Raises an Error if the delimiter or quote is empty.
+**/
+exports.stringify = function(targetRows, options)
+{
+    options = prepareOptions(options);
+
+    var text = targetRows.map(function (row) {
+        return formatRow(row, options);
+    }).join('');
+
+    if (options.bom)
+        return BYTE_ORDER_MARK + text;
+    else
+        return text;
+};
+
+
+/**
+ * Create a stream that writes rows as delimited text.
+ *
+ * Create a Transform stream that takes rows (Array) and emits each as a line of
+ * delimited text (see stringify).
+ *
+ * @param {Object} options Optional Object with stringify options (see
+ *      stringify).
+ * @return {stream.Transform} Stream writing Arrays and reading text.
+**/
+exports.createStringifyStream = function(options)
+{
+    options = prepareOptions(options);
+    var started = false;
+
+    return new stream.Transform({
+        writableObjectMode: true,
+        transform: function (row, encoding, callback) {
+            var line = formatRow(row, options);
+            if (!started && options.bom)
+                line = BYTE_ORDER_MARK + line;
+            started = true;
+            callback(null, line);
+        }
+    });
+};
@@ -0,0 +1,325 @@
+/**
+ * Logic for evaluating small expressions over the cells of a row.
+ *
+ * Logic for parsing and evaluating a small, safe expression language used by
+ * recipes (which may come from JSON files) to compute values from the other
+ * cells in a row. Expressions support Number, String, and boolean literals,
+ * column references, arithmetic, String concatenation, comparisons, logical
+ * operators, conditionals, and a fixed set of functions. Expressions never
+ * have access to JavaScript globals.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var refine_util = require('./refine_util');
+
+// Operators and punctuation, longest first so that <= is not read as <.
+var SYMBOLS = [
+    '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>',
+    '!', '?', ':', '(', ')', ','
+];
+
+var KEYWORDS = {'true': true, 'false': false, 'null': null};
+
+// Convert the arguments of a function call to an Array of Number.
+var toNumbers = function (args) {
+    return Array.prototype.map.call(args, Number);
+};
+
+// Functions that may be called from an expression.
+var FUNCTIONS = {
+    num: function (val) { return Number(val); },
+    str: function (val) {
+        return val === undefined || val === null ? '' : String(val);
+    },
+    lower: function (val) { return String(val).toLowerCase(); },
+    upper: function (val) { return String(val).toUpperCase(); },
+    trim: function (val) { return String(val).trim(); },
+    len: function (val) { return String(val).length; },
+    round: function (val, places) {
+        var factor = Math.pow(10, places === undefined ? 0 : places);
+        return Math.round(Number(val) * factor) / factor;
+    },
+    abs: function (val) { return Math.abs(Number(val)); },
+    min: function () {
+        return Math.min.apply(null, toNumbers(arguments));
+    },
+    max: function () {
+        return Math.max.apply(null, toNumbers(arguments));
+    }
+};
+
+// Functions implementing each binary operator.
+var BINARY_OPERATORS = {
+    '+': function (a, b) { return a + b; },
+    '-': function (a, b) { return a - b; },
+    '*': function (a, b) { return a * b; },
+    '/': function (a, b) { return a / b; },
+    '%': function (a, b) { return a % b; },
+    '==': function (a, b) { return a == b; },
+    '!=': function (a, b) { return a != b; },
+    '<': function (a, b) { return a < b; },
+    '<=': function (a, b) { return a <= b; },
+    '>': function (a, b) { return a > b; },
+    '>=': function (a, b) { return a >= b; }
+};
+
+// Binary operators from lowest to highest precedence.
+var PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='],
+    ['+', '-'], ['*', '/', '%']];
+
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {String} source The expression to split.
+ * @return {Array} Array of Object tokens, each with a type (number, string,
+ *      col, name, or symbol), value, and pos (index in source) attribute.
+ * @throws Raises an Error if the expression has an invalid character or an
+ *      unclosed String.
+**/
+function tokenize(source)
+{
+    var tokens = [];
+    var pos = 0;
+    var length = source.length;
+
+    var readWhile = function (pattern) {
+        var start = pos;
+        while (pos < length && pattern.test(source.charAt(pos)))
+            pos++;
+        return source.substring(start, pos);
+    };
+
+    while (pos < length) {
+        var start = pos;
+        var character = source.charAt(pos);
+
+        if (/\s/.test(character)) {
+            pos++;
+        } else if (/[0-9.]/.test(character)) {
+            var numStr = readWhile(/[0-9.]/);
+            if (isNaN(Number(numStr)))
+                throw new Error('Invalid number ' + numStr + ' at ' + start);
+            tokens.push({type: 'number', value: Number(numStr), pos: start});
+        } else if (character === '"' || character === "'") {
+            pos++;
+            var chars = [];
+            while (pos < length && source.charAt(pos) !== character) {
+                if (source.charAt(pos) === '\\' && pos + 1 < length)
+                    pos++;
+                chars.push(source.charAt(pos));
+                pos++;
+            }
+            if (pos >= length)
+                throw new Error('Unclosed string starting at ' + start);
+            pos++;
+            tokens.push({type: 'string', value: chars.join(''), pos: start});
+        } else if (character === '$') {
+            pos++;
+            var ref;
+            if (source.charAt(pos) === '{') {
+                var end = source.indexOf('}', pos);
+                if (end == -1)
+                    throw new Error('Unclosed column name at ' + start);
+                ref = source.substring(pos + 1, end);
+                pos = end + 1;
+            } else if (/[0-9]/.test(source.charAt(pos))) {
+                ref = Number(readWhile(/[0-9]/));
+            } else {
+                ref = readWhile(/[A-Za-z0-9_]/);
+                if (ref === '')
+                    throw new Error('Expected column after $ at ' + start);
+            }
+            tokens.push({type: 'col', value: ref, pos: start});
+        } else if (/[A-Za-z_]/.test(character)) {
+            var name = readWhile(/[A-Za-z0-9_]/);
+            tokens.push({type: 'name', value: name, pos: start});
+        } else {
+            var symbol = SYMBOLS.filter(function (candidate) {
+                return source.substr(pos, candidate.length) === candidate;
+            })[0];
+            if (symbol === undefined)
+                throw new Error('Unexpected ' + character + ' at ' + start);
+            pos += symbol.length;
+            tokens.push({type: 'symbol', value: symbol, pos: start});
+        }
+    }
+
+    return tokens;
+}
+
+
+/**
+ * Compile an expression into a function evaluating it against a row.
+ *
+ * Compile an expression into a function. Columns are referenced by index with
+ * $ followed by the index ($0), by name with $ followed by the name ($Price),
+ * or by a name containing other characters with the name in braces
+ * (${Unit Price}). Expressions may use Number and String (single or double
+ * quoted) literals, true, false, null, the operators + (addition or, if
+ * either side is a String, concatenation), -, *, /, %, ==, !=, <, <=, >, >=,
+ * &&, ||, and !, parentheses, conditionals (condition ? ifTrue : ifFalse), and
+ * the functions num, str, lower, upper, trim, len, round, abs, min, and max.
+ *
+ * @param {String} source The expression to compile.
+ * @param {Array} header Array of column names or null if the dataset does not
+ *      have a header row, in which case columns may only be referenced by
+ *      index.
+ * @return {function} Function taking a row (Array) and returning the value of
+ *      the expression for that row.
+ * @throws Raises an Error describing any syntax error or unknown column or
+ *      function.
+**/
+exports.compile = function(source, header)
+{
+    var tokens;
+    var index = 0;
+
+    var peek = function () {
+        return tokens[index];
+    };
+
+    var isSymbol = function (value) {
+        var token = peek();
+        return token !== undefined && token.type === 'symbol' &&
+            token.value === value;
+    };
+
+    var describeNext = function () {
+        var token = peek();
+        if (token === undefined)
+            return 'end of expression';
+        return JSON.stringify(String(token.value)) + ' at ' + token.pos;
+    };
+
+    var expect = function (value) {
+        if (!isSymbol(value)) {
+            throw new Error(
+                'Expected ' + value + ' but found ' + describeNext()
+            );
+        }
+        index++;
+    };
+
+    var parseConditional;
+
+    var parsePrimary = function () {
+        var token = peek();
+        if (token === undefined)
+            throw new Error('Unexpected end of expression');
+        index++;
+
+        if (token.type === 'number' || token.type === 'string') {
+            return function () { return token.value; };
+        }
+
+        if (token.type === 'col') {
+            if (typeof token.value !== 'number' && !header) {
+                throw new Error(
+                    'Column ' + token.value + ' referenced by name but the ' +
+                    'dataset has no header row'
+                );
+            }
+            var colIndex = refine_util.resolveColIndex(token.value, header);
+            return function (row) { return row[colIndex]; };
+        }
+
+        if (token.type === 'name') {
+            if (KEYWORDS.hasOwnProperty(token.value)) {
+                var keywordVal = KEYWORDS[token.value];
+                return function () { return keywordVal; };
+            }
+
+            if (!FUNCTIONS.hasOwnProperty(token.value)) {
+                throw new Error(
+                    'Unknown function ' + token.value + ' at ' + token.pos
+                );
+            }
+            var func = FUNCTIONS[token.value];
+            var args = [];
+            expect('(');
+            if (!isSymbol(')')) {
+                args.push(parseConditional());
+                while (isSymbol(',')) {
+                    index++;
+                    args.push(parseConditional());
+                }
+            }
+            expect(')');
+            return function (row) {
+                return func.apply(null, args.map(function (arg) {
+                    return arg(row);
+                }));
+            };
+        }
+
+        if (token.value === '(') {
+            var inner = parseConditional();
+            expect(')');
+            return inner;
+        }
+
+        if (token.value === '-' || token.value === '!') {
+            var operand = parsePrimary();
+            if (token.value === '-')
+                return function (row) { return -operand(row); };
+            else
+                return function (row) { return !operand(row); };
+        }
+
+        index--;
+        throw new Error('Unexpected ' + describeNext());
+    };
+
+    var parseBinary = function (level) {
+        if (level == PRECEDENCE.length)
+            return parsePrimary();
+
+        var left = parseBinary(level + 1);
+        while (peek() !== undefined && peek().type === 'symbol' &&
+            PRECEDENCE[level].indexOf(peek().value) != -1) {
+            var operator = peek().value;
+            index++;
+            left = combine(operator, left, parseBinary(level + 1));
+        }
+        return left;
+    };
+
+    var combine = function (operator, left, right) {
+        if (operator === '&&')
+            return function (row) { return left(row) && right(row); };
+        if (operator === '||')
+            return function (row) { return left(row) || right(row); };
+
+        var operatorFunc = BINARY_OPERATORS[operator];
+        return function (row) { return operatorFunc(left(row), right(row)); };
+    };
+
+    parseConditional = function () {
+        var condition = parseBinary(0);
+        if (!isSymbol('?'))
+            return condition;
+
+        index++;
+        var ifTrue = parseConditional();
+        expect(':');
+        var ifFalse = parseConditional();
+        return function (row) {
+            return condition(row) ? ifTrue(row) : ifFalse(row);
+        };
+    };
+
+    try {
+        tokens = tokenize(source);
+        var evaluate = parseConditional();
+        if (peek() !== undefined)
+            throw new Error('Unexpected ' + describeNext());
+        return evaluate;
+    } catch (err) {
+        throw new Error(
+            'Invalid expression ' + JSON.stringify(source) + ': ' + err.message
+        );
+    }
+};
@@ -0,0 +1,207 @@
+/**
+ * Logic for filling in missing values.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var aggregators = require('./aggregators');
+var change_tracker = require('./change_tracker');
+var refine_util = require('./refine_util');
+
+
+/**
+ * Create a function that determines if a cell is missing for a rule.
+ *
+ * @param {Object} rule The fillMissing rule with an optional missing attribute
+ *      (Array of values treated as missing, defaulting to the empty String).
+ * @return {function} Function taking a cell and returning true if the cell is
+ *      undefined, null, or one of the rule's missing values.
+**/
+function createMissingChecker(rule)
+{
+    var missing = rule.missing === undefined ? [''] : rule.missing;
+    return function (cell) {
+        return cell === undefined || cell === null ||
+            missing.indexOf(cell) != -1;
+    };
+}
+
+
+/**
+ * Find the numeric value of a cell for interpolation.
+ *
+ * @param {Object} cell The cell to convert.
+ * @return {Number} The cell as a Number or null if it is not numeric.
+**/
+function findNumber(cell)
+{
+    if (typeof cell === 'number')
+        return isNaN(cell) ? null : cell;
+    if (!(cell instanceof String || typeof cell === 'string'))
+        return null;
+    if (cell.trim() === '')
+        return null;
+    var num = Number(cell);
+    return isNaN(num) ? null : num;
+}
+
+
+// Functions taking the cells of a column (in row order), an Array of Boolean
+// indicating which of them are missing, and the rule, and returning the
+// column's new cells. Cells that cannot be filled are left unchanged.
+var fillStrategies = {
+    forward: function (cells, isMissing) {
+        var last;
+        var hasLast = false;
+        return cells.map(function (cell, i) {
+            if (!isMissing[i]) {
+                last = cell;
+                hasLast = true;
+                return cell;
+            }
+            return hasLast ? last : cell;
+        });
+    },
+    backward: function (cells, isMissing) {
+        var reversedMissing = isMissing.slice().reverse();
+        return fillStrategies.forward(
+            cells.slice().reverse(),
+            reversedMissing
+        ).reverse();
+    },
+    constant: function (cells, isMissing, rule) {
+        return cells.map(function (cell, i) {
+            return isMissing[i] ? rule.value : cell;
+        });
+    },
+    interpolate: function (cells, isMissing) {
+        var newCells = cells.slice();
+        var prevIndex = null;
+        cells.forEach(function (cell, i) {
+            if (isMissing[i])
+                return;
+
+            var num = findNumber(cell);
+            if (num !== null && prevIndex !== null && i - prevIndex > 1) {
+                var prevNum = findNumber(cells[prevIndex]);
+                var step = (num - prevNum) / (i - prevIndex);
+                for (var j=prevIndex+1; j<i; j++)
+                    newCells[j] = prevNum + step * (j - prevIndex);
+            }
+            prevIndex = num === null ? null : i;
+        });
+        return newCells;
+    }
+};
+
+['mean', 'median', 'mode'].forEach(function (name) {
+    fillStrategies[name] = function (cells, isMissing) {
+        var present = cells.filter(function (cell, i) {
+            return !isMissing[i];
+        });
+        var value = aggregators.aggregate(name, present, {});
+        if (value === null)
+            return cells.slice();
+        return cells.map(function (cell, i) {
+            return isMissing[i] ? value : cell;
+        });
+    };
+});
+
+
+/**
+ * The names of the available fill methods.
+**/
+exports.METHODS = Object.keys(fillStrategies);
+
+
+/**
+ * Fill in missing cells using the values around them or column statistics.
+ *
+ * Fill in missing (undefined, null, or, by default, empty String) cells one
+ * column at a time through a set of rules. Each rule uses a method: forward
+ * (the closest non-missing cell above, also known as fill down), backward (the
+ * closest non-missing cell below), constant (the rule's value), mean or median
+ * (of the column's numeric cells), mode (the column's most common cell), or
+ * interpolate (linear interpolation between the closest numeric cells above
+ * and below). Cells that cannot be filled, like missing cells at the top of a
+ * column for forward, are left unchanged. Rules run in order so later rules
+ * see the cells filled by earlier rules.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Array} params Array of Object rules, each with a method attribute
+ *      and optional value (the fill for constant, which requires it), missing
+ *      (Array of values that count as missing in addition to undefined and
+ *      null, defaulting to ['']), row (row index(ices)), and col (column
+ *      index(ices) or name(s)) attributes. row and col limit both which cells
+ *      are filled and which cells are used to find fill values.
+ * @param {function} onSuccess The function to call with the modified copy of
+ *      the dataset.
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single String parameter describing the error.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.fillMissing = function (targetRows, params, onSuccess, onError,
+    context)
+{
+    var header = context ? context.header : null;
+    var tracker = change_tracker.fromContext(context);
+    var numCols = refine_util.findNumCols(targetRows, header);
+    var newTargetRows = targetRows.map(function (row) { return row.slice(); });
+
+    var numRules = params.length;
+    for (var ruleIndex=0; ruleIndex<numRules; ruleIndex++) {
+        var rule = params[ruleIndex];
+        if (rule.method === 'constant' && rule.value === undefined) {
+            onError('The constant fill method needs a value.');
+            return;
+        }
+
+        var isMissing = createMissingChecker(rule);
+        var fillCells = fillStrategies[rule.method];
+
+        var rows = refine_util.prepareListOfIndices(rule.row);
+        var rowIndices = [];
+        for (var i=0; i<newTargetRows.length; i++) {
+            if (rows === refine_util.ANY_OPT || rows.indexOf(i) != -1)
+                rowIndices.push(i);
+        }
+
+        var cols = refine_util.prepareListOfIndices(rule.col, header);
+        var colIndices = cols;
+        if (cols === refine_util.ANY_OPT) {
+            colIndices = [];
+            for (var i=0; i<numCols; i++)
+                colIndices.push(i);
+        }
+
+        colIndices.forEach(function (colIndex) {
+            var cells = rowIndices.map(function (rowIndex) {
+                return newTargetRows[rowIndex][colIndex];
+            });
+            var newCells = fillCells(cells, cells.map(isMissing), rule);
+
+            rowIndices.forEach(function (rowIndex, i) {
+                if (newCells[i] === cells[i])
+                    return;
+
+                var row = newTargetRows[rowIndex];
+                while (row.length < colIndex)
+                    row.push(null);
+                row[colIndex] = newCells[i];
+                tracker.changeCell(
+                    rowIndex,
+                    colIndex,
+                    cells[i],
+                    newCells[i],
+                    ruleIndex
+                );
+            });
+        });
+    }
+
+    onSuccess(newTargetRows);
+};
@@ -0,0 +1,216 @@
+/**
+ * Logic for combining a dataset with another dataset.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var change_tracker = require('./change_tracker');
+var refine_util = require('./refine_util');
+
+
+/**
+ * Pick cells out of a row, using null for missing cells.
+ *
+ * @param {Array} row The row to pick cells from.
+ * @param {Array} colIndices Array of Number column indices to pick.
+ * @return {Array} The picked cells in the order of colIndices.
+**/
+function pickCells(row, colIndices)
+{
+    return colIndices.map(function (colIndex) {
+        return row[colIndex] === undefined ? null : row[colIndex];
+    });
+}
+
+
+/**
+ * Name the columns joined from another dataset without repeating a name.
+ *
+ * @param {Array} header The header row of the dataset being joined to.
+ * @param {Array} names The names of the columns being joined.
+ * @param {String} suffix The text added to names already in use.
+ * @return {Array} The names to use for the joined columns.
+**/
+function createUniqueNames(header, names, suffix)
+{
+    var used = {};
+    header.forEach(function (name) { used[name] = true; });
+
+    return names.map(function (name) {
+        var newName = name;
+        while (used.hasOwnProperty(newName))
+            newName += suffix;
+        used[newName] = true;
+        return newName;
+    });
+}
+
+
+/**
+ * Join the dataset with another dataset on key columns.
+ *
+ * Combine each row of the dataset with the rows of another dataset (an input
+ * given to refine by name) whose key columns hold the same values. Joined rows
+ * have the dataset's columns followed by the input's non-key columns. Rows
+ * appear in the order of the dataset, each repeated for its matches in the
+ * order of the input, with the input's unmatched rows (for right and full
+ * joins) at the end. Keys are compared strictly so 1 and '1' do not match.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with an input attribute (the name of the other
+ *      dataset) and either an on attribute (column index or name, or Array of
+ *      them, used as keys in both datasets) or leftOn and rightOn attributes
+ *      (the keys in this dataset and the input respectively). The optional
+ *      type attribute is 'inner' (the default, only matched rows), 'left'
+ *      (also unmatched rows of this dataset), 'right' (also unmatched rows of
+ *      the input), or 'full' (both). The optional duplicates attribute decides
+ *      what happens when input rows share a key: 'all' (the default) joins
+ *      each of them, 'first' or 'last' joins only one, and 'error' reports an
+ *      error. The optional suffix attribute (defaults to '_right') is added to
+ *      the names of input columns already used in the header row.
+ * @param {function} onSuccess The function to call after the datasets are
+ *      joined. Should take the new dataset and the new header row (null if
+ *      there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null and
+ *      the inputs attribute should have an Object with header and rows
+ *      attributes for each dataset by name.
+**/
+exports.join = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var inputs = context && context.inputs ? context.inputs : {};
+    if (!inputs.hasOwnProperty(params.input)) {
+        onError('Unknown input: ' + params.input);
+        return;
+    }
+
+    var input = inputs[params.input];
+    var type = params.type === undefined ? 'inner' : params.type;
+    var duplicates = params.duplicates === undefined ? 'all' :
+        params.duplicates;
+    var suffix = params.suffix === undefined ? '_right' : params.suffix;
+
+    var leftKeys = refine_util.prepareListOfIndices(
+        params.leftOn === undefined ? params.on : params.leftOn,
+        header
+    );
+    var rightKeys = refine_util.prepareListOfIndices(
+        params.rightOn === undefined ? params.on : params.rightOn,
+        input.header
+    );
+    var missingKeys = leftKeys === refine_util.ANY_OPT ||
+        rightKeys === refine_util.ANY_OPT;
+    if (missingKeys || leftKeys.length != rightKeys.length) {
+        onError('join needs the same number of key columns for each dataset.');
+        return;
+    }
+
+    // Index the input's rows by key.
+    var getLeftKey = refine_util.createRowKeyFunc(leftKeys);
+    var getRightKey = refine_util.createRowKeyFunc(rightKeys);
+    var rightRowsByKey = {};
+    var rightKeyOrder = [];
+    input.rows.forEach(function (row, rowIndex) {
+        var key = getRightKey(row);
+        if (!rightRowsByKey.hasOwnProperty(key)) {
+            rightRowsByKey[key] = [];
+            rightKeyOrder.push(key);
+        }
+        rightRowsByKey[key].push(rowIndex);
+    });
+
+    for (var i=0; i<rightKeyOrder.length; i++) {
+        var matches = rightRowsByKey[rightKeyOrder[i]];
+        if (matches.length < 2)
+            continue;
+        if (duplicates === 'error') {
+            onError(
+                'Input ' + params.input + ' has more than one row with the ' +
+                'key ' + rightKeyOrder[i] + '.'
+            );
+            return;
+        } else if (duplicates === 'first') {
+            rightRowsByKey[rightKeyOrder[i]] = [matches[0]];
+        } else if (duplicates === 'last') {
+            rightRowsByKey[rightKeyOrder[i]] = [matches[matches.length - 1]];
+        }
+    }
+
+    var leftCols = [];
+    var numLeftCols = refine_util.findNumCols(targetRows, header);
+    for (var i=0; i<numLeftCols; i++)
+        leftCols.push(i);
+
+    var rightCols = [];
+    var numRightCols = refine_util.findNumCols(input.rows, input.header);
+    for (var i=0; i<numRightCols; i++) {
+        if (rightKeys.indexOf(i) == -1)
+            rightCols.push(i);
+    }
+    var emptyRight = rightCols.map(function () { return null; });
+
+    // Join the rows, recording which row of the dataset each came from.
+    var newTargetRows = [];
+    var rowOrigins = [];
+    var matchedKeys = {};
+    var keepUnmatchedLeft = type === 'left' || type === 'full';
+    targetRows.forEach(function (row, rowIndex) {
+        var key = getLeftKey(row);
+        var leftCells = pickCells(row, leftCols);
+
+        if (!rightRowsByKey.hasOwnProperty(key)) {
+            if (keepUnmatchedLeft) {
+                newTargetRows.push(leftCells.concat(emptyRight));
+                rowOrigins.push(rowIndex);
+            }
+            return;
+        }
+
+        matchedKeys[key] = true;
+        rightRowsByKey[key].forEach(function (rightIndex) {
+            var rightCells = pickCells(input.rows[rightIndex], rightCols);
+            newTargetRows.push(leftCells.concat(rightCells));
+            rowOrigins.push(rowIndex);
+        });
+    });
+
+    if (type === 'right' || type === 'full') {
+        rightKeyOrder.forEach(function (key) {
+            if (matchedKeys.hasOwnProperty(key))
+                return;
+            rightRowsByKey[key].forEach(function (rightIndex) {
+                var rightRow = input.rows[rightIndex];
+                var leftCells = leftCols.map(function () { return null; });
+                var keyCells = pickCells(rightRow, rightKeys);
+                leftKeys.forEach(function (colIndex, i) {
+                    leftCells[colIndex] = keyCells[i];
+                });
+                newTargetRows.push(
+                    leftCells.concat(pickCells(rightRow, rightCols))
+                );
+                rowOrigins.push(null);
+            });
+        });
+    }
+
+    var tracker = change_tracker.fromContext(context);
+    tracker.keepRows(rowOrigins);
+    tracker.keepCols(leftCols.concat(emptyRight));
+
+    var newHeader = null;
+    if (header) {
+        var rightNames = pickCells(input.header || [], rightCols).map(
+            function (name) { return name === null ? '' : name; }
+        );
+        newHeader = pickCells(header, leftCols).concat(
+            createUniqueNames(header, rightNames, suffix)
+        );
+    }
+
+    onSuccess(newTargetRows, newHeader);
+};
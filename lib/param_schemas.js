@@ -0,0 +1,366 @@
+/**
+ * Descriptions of the params expected by each built in refinement operation.
+ *
+ * Schemas (see recipe_validator) used to check the params of each operation
+ * in a recipe before that recipe is executed.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var aggregators = require('./aggregators');
+var fill_ops = require('./fill_ops');
+
+
+// Row or column index, column name, inequality, or Array of those.
+var indexSpec = {oneOf: [
+    {type: 'number'},
+    {type: 'string'},
+    {type: 'array', items: {oneOf: [{type: 'number'}, {type: 'string'}]}}
+]};
+
+// Ways a value rule may compare cells against its val attribute.
+var valueTest = {type: 'string', enum: [
+    '==', '!=', '>', '>=', '<', '<=', 'in', 'between', 'startsWith',
+    'endsWith', 'contains', 'regex'
+]};
+
+var ignoreRowRule = {
+    type: 'object',
+    properties: {
+        index: indexSpec,
+        col: indexSpec,
+        val: {type: 'any'},
+        test: valueTest,
+        flags: {type: 'string'}
+    },
+    requireOneOf: ['index', 'val', 'allOf'],
+    additionalProperties: false
+};
+ignoreRowRule.properties.allOf = {type: 'array', items: ignoreRowRule};
+
+var ignoreColRule = {
+    type: 'object',
+    properties: {
+        index: indexSpec,
+        row: indexSpec,
+        val: {type: 'any'},
+        test: valueTest,
+        flags: {type: 'string'}
+    },
+    requireOneOf: ['index', 'val', 'allOf'],
+    additionalProperties: false
+};
+ignoreColRule.properties.allOf = {type: 'array', items: ignoreColRule};
+
+
+exports.ignoreRowIf = {type: 'array', items: ignoreRowRule};
+
+exports.ignoreColIf = {type: 'array', items: ignoreColRule};
+
+exports.replace = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            orig: {type: 'any'},
+            new: {type: 'any'},
+            match: {type: 'string', enum: ['exact', 'substring', 'regex']},
+            flags: {type: 'string'},
+            all: {type: 'boolean'},
+            row: indexSpec,
+            col: indexSpec
+        },
+        required: ['orig', 'new'],
+        additionalProperties: false
+    }
+};
+
+// moment format String or Array of them.
+var dateFormats = {oneOf: [
+    {type: 'string'},
+    {type: 'array', items: {type: 'string'}}
+]};
+
+exports.interpretStr = {
+    type: 'object',
+    properties: {
+        dates: {oneOf: [
+            dateFormats,
+            {
+                type: 'object',
+                properties: {
+                    formats: dateFormats,
+                    strict: {type: 'boolean'},
+                    output: {oneOf: [
+                        {type: 'string', enum: ['iso', 'millis', 'date']},
+                        {
+                            type: 'object',
+                            properties: {format: {type: 'string'}},
+                            required: ['format'],
+                            additionalProperties: false
+                        }
+                    ]},
+                    row: indexSpec,
+                    col: indexSpec
+                },
+                required: ['formats'],
+                additionalProperties: false
+            }
+        ]},
+        bools: {
+            type: 'object',
+            properties: {
+                trueVal: {type: 'any'},
+                falseVal: {type: 'any'},
+                ignoreCase: {type: 'boolean'},
+                trim: {type: 'boolean'},
+                unmatched: {type: 'string', enum: ['keep', 'null', 'error']},
+                row: indexSpec,
+                col: indexSpec
+            },
+            required: ['trueVal', 'falseVal'],
+            additionalProperties: false
+        },
+        numbers: {oneOf: [
+            {type: 'boolean'},
+            {
+                type: 'object',
+                properties: {
+                    locale: {type: 'string'},
+                    decimal: {type: 'string'},
+                    group: {type: 'string'},
+                    currency: {oneOf: [
+                        {type: 'boolean'},
+                        {type: 'array', items: {type: 'string'}}
+                    ]},
+                    percent: {type: 'boolean'},
+                    accounting: {type: 'boolean'},
+                    leadingZeros: {type: 'string', enum: ['parse', 'keep']},
+                    row: indexSpec,
+                    col: indexSpec
+                },
+                additionalProperties: false
+            }
+        ]},
+        row: indexSpec,
+        col: indexSpec
+    },
+    additionalProperties: false
+};
+
+exports.normalizeText = {
+    type: 'object',
+    properties: {
+        trim: {type: 'boolean'},
+        collapseWhitespace: {type: 'boolean'},
+        case: {type: 'string', enum: ['upper', 'lower', 'title']},
+        stripPunctuation: {type: 'boolean'},
+        stripNonPrintable: {type: 'boolean'},
+        stripDiacritics: {type: 'boolean'},
+        row: indexSpec,
+        col: indexSpec
+    },
+    additionalProperties: false
+};
+
+exports.transpose = {type: 'any', optional: true};
+
+exports.deriveCol = {
+    type: 'object',
+    properties: {
+        expr: {oneOf: [{type: 'string'}, {type: 'function'}]},
+        name: {type: 'string'},
+        at: {oneOf: [{type: 'integer'}, {type: 'string'}]}
+    },
+    required: ['expr'],
+    additionalProperties: false
+};
+
+exports.splitCol = {
+    type: 'object',
+    properties: {
+        col: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+        delimiter: {type: 'string'},
+        regex: {type: 'string'},
+        flags: {type: 'string'},
+        into: {oneOf: [
+            {type: 'integer'},
+            {type: 'array', items: {type: 'string'}}
+        ]},
+        fill: {type: 'any'},
+        overflow: {type: 'string', enum: ['merge', 'drop', 'error']},
+        keep: {type: 'boolean'}
+    },
+    required: ['col', 'into'],
+    requireOneOf: ['delimiter', 'regex'],
+    additionalProperties: false
+};
+
+exports.mergeCols = {
+    type: 'object',
+    properties: {
+        cols: {
+            type: 'array',
+            items: {oneOf: [{type: 'integer'}, {type: 'string'}]}
+        },
+        separator: {type: 'string'},
+        name: {type: 'string'},
+        skipEmpty: {type: 'boolean'},
+        keep: {type: 'boolean'}
+    },
+    required: ['cols'],
+    additionalProperties: false
+};
+
+exports.dedupeRows = {
+    type: 'object',
+    properties: {
+        cols: indexSpec,
+        keep: {type: 'string', enum: ['first', 'last']},
+        count: {oneOf: [{type: 'boolean'}, {type: 'string'}]}
+    },
+    additionalProperties: false,
+    optional: true
+};
+
+var sortKey = {
+    type: 'object',
+    properties: {
+        col: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+        direction: {type: 'string', enum: ['asc', 'desc']},
+        type: {type: 'string', enum: ['string', 'number', 'date', 'locale']},
+        format: {type: 'string'},
+        locale: {type: 'string'},
+        empty: {type: 'string', enum: ['first', 'last']}
+    },
+    required: ['col'],
+    additionalProperties: false
+};
+
+exports.sortRows = {oneOf: [
+    {type: 'array', items: sortKey},
+    {
+        type: 'object',
+        properties: {
+            keys: {type: 'array', items: sortKey},
+            pinFirstRow: {type: 'boolean'}
+        },
+        required: ['keys'],
+        additionalProperties: false
+    }
+]};
+
+exports.aggregate = {
+    type: 'object',
+    properties: {
+        by: indexSpec,
+        aggs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    op: {type: 'string', enum: aggregators.NAMES},
+                    col: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+                    name: {type: 'string'},
+                    separator: {type: 'string'}
+                },
+                required: ['op'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['aggs'],
+    additionalProperties: false
+};
+
+exports.pivot = {
+    type: 'object',
+    properties: {
+        index: indexSpec,
+        columns: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+        values: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+        agg: {type: 'string', enum: aggregators.NAMES},
+        separator: {type: 'string'},
+        fill: {type: 'any'}
+    },
+    required: ['index', 'columns', 'values'],
+    additionalProperties: false
+};
+
+exports.unpivot = {
+    type: 'object',
+    properties: {
+        id: indexSpec,
+        cols: indexSpec,
+        varName: {type: 'string'},
+        valueName: {type: 'string'},
+        dropEmpty: {type: 'boolean'}
+    },
+    additionalProperties: false,
+    optional: true
+};
+
+exports.join = {
+    type: 'object',
+    properties: {
+        input: {type: 'string'},
+        on: indexSpec,
+        leftOn: indexSpec,
+        rightOn: indexSpec,
+        type: {type: 'string', enum: ['inner', 'left', 'right', 'full']},
+        duplicates: {type: 'string', enum: ['all', 'first', 'last', 'error']},
+        suffix: {type: 'string'}
+    },
+    required: ['input'],
+    requireOneOf: ['on', 'leftOn'],
+    additionalProperties: false
+};
+
+exports.fillMissing = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            method: {type: 'string', enum: fill_ops.METHODS},
+            value: {type: 'any'},
+            missing: {type: 'array'},
+            row: indexSpec,
+            col: indexSpec
+        },
+        required: ['method'],
+        additionalProperties: false
+    }
+};
+
+exports.validate = {
+    type: 'object',
+    properties: {
+        constraints: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    col: {oneOf: [{type: 'integer'}, {type: 'string'}]},
+                    type: {type: 'string', enum: [
+                        'string', 'number', 'integer', 'bool', 'date'
+                    ]},
+                    format: {type: 'string'},
+                    required: {type: 'boolean'},
+                    min: {oneOf: [{type: 'number'}, {type: 'string'}]},
+                    max: {oneOf: [{type: 'number'}, {type: 'string'}]},
+                    regex: {type: 'string'},
+                    flags: {type: 'string'},
+                    enum: {type: 'array'},
+                    unique: {type: 'boolean'}
+                },
+                required: ['col'],
+                additionalProperties: false
+            }
+        },
+        action: {type: 'string', enum: ['error', 'drop', 'annotate']},
+        name: {type: 'string'}
+    },
+    required: ['constraints'],
+    additionalProperties: false
+};
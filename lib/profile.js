@@ -0,0 +1,349 @@
+/**
+ * Logic for describing the contents of each column in a dataset.
+ *
+ * Logic for inferring the type of each column of a dataset and summarizing
+ * its values so that a recipe can be written (or started automatically) before
+ * looking through the dataset by hand.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var refine_util = require('./refine_util');
+var str_ops = require('./str_ops');
+
+// Date formats (or Arrays of formats that together describe a column) tried
+// in order when detecting date columns.
+var DEFAULT_DATE_FORMATS = [
+    'YYYY-MM-DD',
+    'YYYY-MM-DDTHH:mm:ss.SSSZ',
+    'YYYY-MM-DDTHH:mm:ssZ',
+    'YYYY-MM-DDTHH:mm:ss',
+    'YYYY-MM-DD HH:mm:ss',
+    ['MM/DD/YYYY', 'M/D/YYYY'],
+    ['DD.MM.YYYY', 'D.M.YYYY'],
+    'YYYY/MM/DD'
+];
+
+// The interpretStr bools option used when detecting boolean columns.
+var DEFAULT_BOOLS = {
+    trueVal: ['true', 'yes', 'y', 't'],
+    falseVal: ['false', 'no', 'n', 'f'],
+    ignoreCase: true,
+    trim: true
+};
+
+// The interpretStr numbers option used when detecting number columns. The
+// separators are given so that the report does not depend on the machine.
+var DEFAULT_NUMBERS = {leadingZeros: 'keep', decimal: '.', group: ','};
+
+var DEFAULT_NUM_TOP = 5;
+
+
+/**
+ * Determine if a cell is blank.
+ *
+ * @param {Object} cell The cell to check.
+ * @return {boolean} True if the cell is undefined, null, or a String of only
+ *      whitespace.
+**/
+function isBlank(cell)
+{
+    if (cell === undefined || cell === null)
+        return true;
+    return (cell instanceof String || typeof cell === 'string') &&
+        cell.trim() === '';
+}
+
+
+/**
+ * Determine if every cell can be interpreted by an interpretStr function.
+ *
+ * @param {Array} cells The non-blank cells to check.
+ * @param {function} interpret Function taking a cell and returning its
+ *      interpreted value (see str_ops).
+ * @param {function} isType Function taking a value and returning true if it
+ *      is of the type being detected.
+ * @return {Array} The interpreted values or null if any cell could not be
+ *      interpreted.
+**/
+function interpretAll(cells, interpret, isType)
+{
+    var values = [];
+    var numCells = cells.length;
+    for (var i=0; i<numCells; i++) {
+        var value = isType(cells[i]) ? cells[i] : interpret(cells[i]);
+        if (!isType(value))
+            return null;
+        values.push(value);
+    }
+    return values;
+}
+
+
+/**
+ * Infer the type of a column from its non-blank cells.
+ *
+ * @param {Array} cells The non-blank cells of the column.
+ * @param {Object} options The profile options (see profile).
+ * @return {Object} Object with type ('empty', 'bool', 'integer', 'number',
+ *      'date', or 'string'), values (the cells interpreted as that type),
+ *      and, for dates, format (the moment format or Array of formats the
+ *      cells match) attributes.
+**/
+function inferType(cells, options)
+{
+    if (cells.length == 0)
+        return {type: 'empty', values: []};
+
+    var values = interpretAll(
+        cells,
+        str_ops.createBoolInterpreter(options.bools),
+        function (value) { return typeof value === 'boolean'; }
+    );
+    if (values !== null)
+        return {type: 'bool', values: values};
+
+    values = interpretAll(
+        cells,
+        str_ops.createNumberInterpreter(options.numbers),
+        function (value) { return typeof value === 'number' && !isNaN(value); }
+    );
+    if (values !== null) {
+        var allIntegers = values.every(function (value) {
+            return value % 1 === 0;
+        });
+        return {type: allIntegers ? 'integer' : 'number', values: values};
+    }
+
+    var numFormats = options.dates.length;
+    for (var i=0; i<numFormats; i++) {
+        values = interpretAll(
+            cells,
+            str_ops.createDateInterpreter(
+                {formats: options.dates[i], strict: true, output: 'date'}
+            ),
+            function (value) { return value instanceof Date; }
+        );
+        if (values !== null)
+            return {type: 'date', values: values, format: options.dates[i]};
+    }
+
+    return {type: 'string', values: cells};
+}
+
+
+/**
+ * Find the most common cells of a column.
+ *
+ * @param {Array} cells The non-blank cells of the column.
+ * @param {Number} numTop The maximum number of values to report.
+ * @return {Object} Object with distinct (Number of distinct cells) and top
+ *      (Array of Object with value and count attributes, most common first
+ *      with ties in the order values first appear) attributes.
+**/
+function countValues(cells, numTop)
+{
+    var getKey = refine_util.createRowKeyFunc([0]);
+    var counts = {};
+    var order = [];
+    cells.forEach(function (cell) {
+        var key = getKey([cell]);
+        if (!counts.hasOwnProperty(key)) {
+            counts[key] = {value: cell, count: 0, order: order.length};
+            order.push(key);
+        }
+        counts[key].count++;
+    });
+
+    var top = order.map(function (key) { return counts[key]; });
+    top.sort(function (a, b) {
+        return b.count - a.count || a.order - b.order;
+    });
+
+    return {
+        distinct: order.length,
+        top: top.slice(0, numTop).map(function (entry) {
+            return {value: entry.value, count: entry.count};
+        })
+    };
+}
+
+
+/**
+ * Find the smallest and largest of a set of Numbers or Dates.
+ *
+ * @param {Array} values The values to search.
+ * @return {Object} Object with min and max attributes.
+**/
+function findRange(values)
+{
+    var min = null;
+    var max = null;
+    values.forEach(function (value) {
+        if (min === null || value < min)
+            min = value;
+        if (max === null || value > max)
+            max = value;
+    });
+    return {min: min, max: max};
+}
+
+
+/**
+ * Describe a single column of a dataset.
+ *
+ * @param {Array} targetRows The rows of the dataset (without a header row).
+ * @param {Number} colIndex The index of the column to describe.
+ * @param {Array} header Array of column names or null.
+ * @param {Object} options The profile options (see profile).
+ * @return {Object} The description of the column (see profile).
+**/
+function profileCol(targetRows, colIndex, header, options)
+{
+    var cells = targetRows.map(function (row) { return row[colIndex]; });
+    var filled = cells.filter(function (cell) { return !isBlank(cell); });
+    var inferred = inferType(filled, options);
+
+    var range = {min: null, max: null};
+    if (['integer', 'number', 'date'].indexOf(inferred.type) != -1)
+        range = findRange(inferred.values);
+    if (inferred.type === 'date') {
+        range.min = range.min.toISOString();
+        range.max = range.max.toISOString();
+    }
+
+    var lengths = filled.map(function (cell) { return String(cell).length; });
+    var lengthRange = findRange(lengths);
+    var counted = countValues(filled, options.top);
+
+    return {
+        index: colIndex,
+        name: header && header[colIndex] !== undefined ?
+            header[colIndex] : null,
+        type: inferred.type,
+        format: inferred.format === undefined ? null : inferred.format,
+        blank: cells.length - filled.length,
+        distinct: counted.distinct,
+        top: counted.top,
+        min: range.min,
+        max: range.max,
+        minLength: lengthRange.min,
+        maxLength: lengthRange.max
+    };
+}
+
+
+/**
+ * Create interpretStr operations converting columns to their inferred types.
+ *
+ * @param {Array} cols The column descriptions (see profileCol).
+ * @param {Object} options The profile options (see profile).
+ * @return {Array} Array of interpretStr operations (empty if no column needs
+ *      interpreting). Columns are referred to by name if they have one.
+**/
+function createRecipe(cols, options)
+{
+    var findCols = function (types) {
+        return cols.filter(function (col) {
+            return types.indexOf(col.type) != -1;
+        }).map(function (col) {
+            return col.name === null ? col.index : col.name;
+        });
+    };
+
+    var withCols = function (option, colRefs) {
+        var newOption = {};
+        for (var name in option)
+            newOption[name] = option[name];
+        newOption.col = colRefs;
+        return newOption;
+    };
+
+    var param = {};
+    var numberCols = findCols(['integer', 'number']);
+    if (numberCols.length > 0)
+        param.numbers = withCols(options.numbers, numberCols);
+    var boolCols = findCols(['bool']);
+    if (boolCols.length > 0)
+        param.bools = withCols(options.bools, boolCols);
+
+    var params = Object.keys(param).length > 0 ? [param] : [];
+
+    // Each date format needs its own dates option so that a column is not
+    // parsed with another column's format.
+    options.dates.forEach(function (format) {
+        var dateCols = cols.filter(function (col) {
+            return col.type === 'date' && col.format === format;
+        }).map(function (col) {
+            return col.name === null ? col.index : col.name;
+        });
+        if (dateCols.length == 0)
+            return;
+
+        var dates = {formats: format, strict: true, col: dateCols};
+        var lastParam = params[params.length - 1];
+        if (lastParam !== undefined && lastParam.dates === undefined)
+            lastParam.dates = dates;
+        else
+            params.push({dates: dates});
+    });
+
+    return params.map(function (param) {
+        return {operation: 'interpretStr', param: param};
+    });
+}
+
+
+/**
+ * Describe the type and values of each column in a dataset.
+ *
+ * Infer the type of each column using the same parsing as interpretStr and
+ * summarize its values. A column's type is the first of bool, integer,
+ * number, or date (trying each date format in order) that every non-blank
+ * cell can be interpreted as and string otherwise (or empty if every cell is
+ * blank).
+ *
+ * @param {Array} targetRows The rows of the dataset (without a header row).
+ * @param {Array} header Array of column names or null.
+ * @param {Object} options Optional Object with top (maximum Number of top
+ *      values per column), dates (Array of moment formats, or Arrays of
+ *      formats, to detect), bools, and numbers (interpretStr options used to
+ *      detect those types) attributes.
+ * @return {Object} Object with rows (Number of rows), cols (Array of Object
+ *      column descriptions), and recipe (Array of interpretStr operations
+ *      converting each column to its type) attributes. Each column description
+ *      has index, name (null without a header row), type, format (the date
+ *      format(s) or null), blank (Number of blank cells), distinct (Number of
+ *      distinct non-blank cells), top (Array of Object with value and count
+ *      attributes), min and max (Numbers for integer and number columns, ISO
+ *      8601 Strings for date columns, and null otherwise), and minLength and
+ *      maxLength (lengths of the non-blank cells as text) attributes.
+**/
+exports.profile = function (targetRows, header, options)
+{
+    if (options === undefined)
+        options = {};
+
+    var settings = {
+        top: options.top === undefined ? DEFAULT_NUM_TOP : options.top,
+        dates: options.dates === undefined ? DEFAULT_DATE_FORMATS :
+            options.dates,
+        bools: options.bools === undefined ? DEFAULT_BOOLS : options.bools,
+        numbers: options.numbers === undefined ? DEFAULT_NUMBERS :
+            options.numbers
+    };
+    if (settings.numbers === true)
+        settings.numbers = {};
+
+    var numCols = refine_util.findNumCols(targetRows, header);
+    var cols = [];
+    for (var colIndex=0; colIndex<numCols; colIndex++)
+        cols.push(profileCol(targetRows, colIndex, header, settings));
+
+    return {
+        rows: targetRows.length,
+        cols: cols,
+        recipe: createRecipe(cols, settings)
+    };
+};
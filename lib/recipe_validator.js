@@ -0,0 +1,314 @@
+/**
+ * Logic for checking refinement recipes before they are executed.
+ *
+ * Logic that checks a set of operations (a recipe) for unknown operation names
+ * and malformed params before any of the operations are run, collecting every
+ * problem found instead of stopping at the first.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+
+// Functions checking if a value matches each of the schema types.
+var typeCheckers = {
+    any: function (value) { return value !== undefined; },
+    string: function (value) {
+        return value instanceof String || typeof value === 'string';
+    },
+    number: function (value) {
+        return typeof value === 'number' && !isNaN(value);
+    },
+    integer: function (value) {
+        return typeof value === 'number' && value % 1 === 0;
+    },
+    boolean: function (value) { return typeof value === 'boolean'; },
+    array: function (value) { return value instanceof Array; },
+    'function': function (value) { return typeof value === 'function'; },
+    object: function (value) {
+        return value !== null && typeof value === 'object' &&
+            !(value instanceof Array);
+    }
+};
+
+
+/**
+ * Create a human readable description of a schema's expected type.
+ *
+ * @param {Object} schema The schema to describe.
+ * @return {String} Description like "number or string".
+**/
+function describeSchema(schema)
+{
+    if (schema.oneOf !== undefined)
+        return schema.oneOf.map(describeSchema).join(' or ');
+    else if (schema.enum !== undefined)
+        return 'one of ' + schema.enum.map(JSON.stringify).join(', ');
+    else if (schema.type === 'array' && schema.items !== undefined)
+        return 'Array of ' + describeSchema(schema.items);
+    else
+        return schema.type;
+}
+
+
+/**
+ * Check that a value matches a schema, reporting every mismatch found.
+ *
+ * Check a value against a simple schema. A schema is an Object with a type
+ * attribute (any, string, number, integer, boolean, array, function, or
+ * object) or a oneOf attribute (Array of schemas, one of which must match).
+ * Array schemas may have an items schema. Object schemas may have a properties
+ * Object of schemas, a required Array of attribute names, a requireOneOf Array
+ * of attribute names (at least one of which must be present), and an
+ * additionalProperties attribute which, if false, disallows attributes not
+ * listed in properties. Any schema may also have an enum Array of allowed
+ * values.
+ *
+ * @param {Object} value The value to check.
+ * @param {Object} schema The schema to check the value against.
+ * @param {String} path Description of where the value is in the recipe.
+ * @param {Array} problems Array of Object to add problems to. Each problem
+ *      will have a path and message attribute.
+**/
+function checkValue(value, schema, path, problems)
+{
+    if (schema.oneOf !== undefined) {
+        var matches = schema.oneOf.some(function (subSchema) {
+            var subProblems = [];
+            checkValue(value, subSchema, path, subProblems);
+            return subProblems.length == 0;
+        });
+        if (!matches) {
+            problems.push({
+                path: path,
+                message: 'Expected ' + describeSchema(schema) + '.'
+            });
+        }
+        return;
+    }
+
+    if (!typeCheckers.hasOwnProperty(schema.type)) {
+        problems.push({
+            path: path,
+            message: 'Unknown schema type "' + schema.type + '".'
+        });
+        return;
+    }
+
+    if (!typeCheckers[schema.type](value)) {
+        problems.push({
+            path: path,
+            message: 'Expected ' + describeSchema(schema) + '.'
+        });
+        return;
+    }
+
+    if (schema.enum !== undefined && schema.enum.indexOf(value) == -1) {
+        problems.push({
+            path: path,
+            message: 'Expected ' + describeSchema(schema) + '.'
+        });
+        return;
+    }
+
+    if (schema.type === 'array' && schema.items !== undefined) {
+        var numItems = value.length;
+        for (var i=0; i<numItems; i++)
+            checkValue(value[i], schema.items, path + '[' + i + ']', problems);
+    }
+
+    if (schema.type === 'object')
+        checkProperties(value, schema, path, problems);
+}
+
+
+/**
+ * Check the attributes of an Object against an object schema.
+ *
+ * @param {Object} value The Object to check.
+ * @param {Object} schema The object schema (see checkValue) to check against.
+ * @param {String} path Description of where the value is in the recipe.
+ * @param {Array} problems Array of Object to add problems to.
+**/
+function checkProperties(value, schema, path, problems)
+{
+    var properties = schema.properties || {};
+
+    var required = schema.required || [];
+    required.forEach(function (name) {
+        if (value[name] === undefined) {
+            problems.push({
+                path: path + '.' + name,
+                message: 'Missing required attribute.'
+            });
+        }
+    });
+
+    if (schema.requireOneOf !== undefined) {
+        var hasOne = schema.requireOneOf.some(function (name) {
+            return value[name] !== undefined;
+        });
+        if (!hasOne) {
+            problems.push({
+                path: path,
+                message: 'Expected one of the attributes ' +
+                    schema.requireOneOf.join(', ') + '.'
+            });
+        }
+    }
+
+    for (var name in value) {
+        if (!value.hasOwnProperty(name) || value[name] === undefined)
+            continue;
+
+        var propertySchema = properties[name];
+        var propertyPath = path + '.' + name;
+        if (propertySchema !== undefined) {
+            checkValue(value[name], propertySchema, propertyPath, problems);
+        } else if (schema.additionalProperties === false) {
+            problems.push({
+                path: propertyPath,
+                message: 'Unknown attribute.'
+            });
+        }
+    }
+}
+
+
+/**
+ * Find the problems in a schema itself, like misspelled types.
+ *
+ * Walk a schema (see checkValue), including its oneOf, items, and properties
+ * schemas, reporting each schema without a known type. Schemas that refer to
+ * themselves (like rules with allOf Arrays of rules) are only walked once.
+ *
+ * @param {Object} schema The schema to check.
+ * @return {Array} Array of String descriptions of each problem found like
+ *      'param.col: Unknown schema type "strng".' Will be empty if the schema
+ *      is valid.
+**/
+exports.findSchemaProblems = function(schema)
+{
+    var problems = [];
+    var visited = [];
+
+    var walk = function (subSchema, path) {
+        if (visited.indexOf(subSchema) != -1)
+            return;
+        visited.push(subSchema);
+
+        if (!typeCheckers.object(subSchema)) {
+            problems.push(path + ': Expected a schema Object.');
+            return;
+        }
+
+        if (subSchema.oneOf !== undefined) {
+            subSchema.oneOf.forEach(function (option, i) {
+                walk(option, path + '.oneOf[' + i + ']');
+            });
+            return;
+        }
+
+        if (!typeCheckers.hasOwnProperty(subSchema.type)) {
+            problems.push(
+                path + ': Unknown schema type "' + subSchema.type + '".'
+            );
+            return;
+        }
+
+        if (subSchema.items !== undefined)
+            walk(subSchema.items, path + '[]');
+
+        var properties = subSchema.properties || {};
+        for (var name in properties) {
+            if (properties.hasOwnProperty(name))
+                walk(properties[name], path + '.' + name);
+        }
+    };
+
+    walk(schema, 'param');
+    return problems;
+};
+
+
+/**
+ * Check a recipe for unknown operations and malformed params.
+ *
+ * Check each operation in a recipe, reporting operations that are not Objects,
+ * that name an operation that does not exist, or that have a param that does
+ * not match the schema for that operation.
+ *
+ * @param {Array} operations The Array of Object operations to check. Each
+ *      should have an operation (String) and param attribute.
+ * @param {Object} strategies Index of available operations by name. Each
+ *      entry's schema attribute (see checkValue) will be used to check the
+ *      operation's param. Operations without a schema will not have their
+ *      params checked. The param may only be omitted if the schema's optional
+ *      attribute is true.
+ * @return {Array} Array of Object describing each problem found, each with a
+ *      step (index of the operation in operations), path (String location of
+ *      the offending field like param[0].col), and message attribute. Will be
+ *      empty if no problems were found.
+**/
+exports.validateRecipe = function(operations, strategies)
+{
+    var problems = [];
+
+    var numOperations = operations.length;
+    for (var step=0; step<numOperations; step++) {
+        var operation = operations[step];
+        var stepProblems = [];
+
+        if (!typeCheckers.object(operation)) {
+            stepProblems.push({path: '', message: 'Expected object.'});
+        } else if (!typeCheckers.string(operation.operation)) {
+            stepProblems.push({
+                path: 'operation',
+                message: 'Expected operation name.'
+            });
+        } else if (!strategies.hasOwnProperty(operation.operation)) {
+            stepProblems.push({
+                path: 'operation',
+                message: 'Unknown operation "' + operation.operation + '".'
+            });
+        } else if (strategies[operation.operation].schema !== undefined) {
+            var schema = strategies[operation.operation].schema;
+            if (operation.param === undefined) {
+                if (!schema.optional) {
+                    stepProblems.push({
+                        path: 'param',
+                        message: 'Missing required attribute.'
+                    });
+                }
+            } else {
+                checkValue(operation.param, schema, 'param', stepProblems);
+            }
+        }
+
+        stepProblems.forEach(function (problem) {
+            problem.step = step;
+            problems.push(problem);
+        });
+    }
+
+    return problems;
+};
+
+
+/**
+ * Create a single String description of a set of recipe problems.
+ *
+ * @param {Array} problems Array of Object problems as returned by
+ *      validateRecipe.
+ * @return {String} Description of all of the problems.
+**/
+exports.describeProblems = function(problems)
+{
+    var descriptions = problems.map(function (problem) {
+        var location = 'step ' + problem.step;
+        if (problem.path !== '')
+            location += ' ' + problem.path;
+        return location + ': ' + problem.message;
+    });
+    return 'Invalid recipe: ' + descriptions.join(' ');
+};
@@ -0,0 +1,202 @@
+/**
+ * Logic for refining datasets one row at a time through a stream.
+ *
+ * Logic for running refinement operations on rows as they flow through a Node
+ * stream so that datasets larger than memory can be refined. Only operations
+ * that can look at a single row at a time can be streamed.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+
+var stream = require('stream');
+
+
+/**
+ * Create a stage of the stream that runs an operation on a batch of rows.
+ *
+ * @param {Object} operation The operation (see refine) to run.
+ * @param {Object} entry The operation's entry in the index of available
+ *      operations. If it has a createRowFunc attribute, that function will be
+ *      used to refine each row. Otherwise the strategy will be run on each
+ *      batch of rows.
+ * @param {Object} context Information about the dataset (like the header row)
+ *      to pass to the operation.
+ * @return {function} Function taking an Array of rows and a callback to call
+ *      with an error (or null) and the Array of refined rows.
+**/
+function createStage(operation, entry, context)
+{
+    if (entry.createRowFunc === undefined) {
+        return function (rows, callback) {
+            entry.strategy(
+                rows,
+                operation.param,
+                function (newRows) { callback(null, newRows); },
+                function (err) { callback(new Error(err)); },
+                context
+            );
+        };
+    }
+
+    // Row indices count the rows reaching this stage.
+    var refineRow = entry.createRowFunc(operation.param, context);
+    var rowCount = 0;
+    return function (rows, callback) {
+        var newRows = [];
+        var numRows = rows.length;
+        for (var i=0; i<numRows; i++) {
+            var row = refineRow(rows[i], rowCount);
+            rowCount++;
+            if (row !== null)
+                newRows.push(row);
+        }
+        callback(null, newRows);
+    };
+}
+
+
+/**
+ * Create a stream that refines rows as they are written to it.
+ *
+ * Create a Transform stream that takes rows (Array) and emits refined rows.
+ * Streamable operations (like ignoreRowIf, replace, and interpretStr) are run
+ * on each row as it arrives. Row indices given to the built in operations
+ * count the rows that reach each operation. If the recipe contains an
+ * operation that needs the whole dataset (like transpose), the rows reaching
+ * that operation are buffered in memory and the rest of the recipe is run
+ * once all rows have been written, but only if the buffer option is true.
+ *
+ * @param {Array} operations Array of Object operations to run (see refine).
+ *      These operations should already have been validated.
+ * @param {Object} options Object with optional headerRow, buffer, and inputs
+ *      attributes. If headerRow is true, the first row written will be treated
+ *      as column names and passed through unchanged. If buffer is true,
+ *      operations that need the whole dataset will be allowed. inputs are
+ *      passed to the buffered operations (see refine).
+ * @param {Object} strategies Index of available operations by name. Each
+ *      entry should have strategy and streamable attributes and may have a
+ *      createRowFunc attribute (see createStage).
+ * @param {function} refine The function used to run buffered operations.
+ *      Should have the same signature as refine.
+ * @return {stream.Transform} Stream writing and reading Arrays.
+ * @throws Raises an Error if the recipe has an operation that cannot be
+ *      streamed and the buffer option is not true.
+**/
+exports.createRefineStream = function(operations, options, strategies, refine)
+{
+    // Find the operations that must be run on the whole dataset.
+    var numStreamed = 0;
+    var numOperations = operations.length;
+    while (numStreamed < numOperations &&
+        strategies[operations[numStreamed].operation].streamable) {
+        numStreamed++;
+    }
+
+    var streamedOperations = operations.slice(0, numStreamed);
+    var bufferedOperations = operations.slice(numStreamed);
+    var buffering = bufferedOperations.length > 0;
+    if (buffering && !options.buffer) {
+        throw new Error(
+            'Operation ' + bufferedOperations[0].operation + ' (step ' +
+            numStreamed + ') needs the whole dataset and cannot be streamed. ' +
+            'Pass the buffer option to buffer the rows it needs in memory.'
+        );
+    }
+
+    var awaitingHeader = options.headerRow === true;
+    var header = null;
+    var stages = null;
+    var bufferedRows = [];
+
+    // Create the stages once the header (if any) is known.
+    var createStages = function () {
+        var context = {header: header};
+        stages = streamedOperations.map(function (operation) {
+            var entry = strategies[operation.operation];
+            return createStage(operation, entry, context);
+        });
+    };
+
+    // Run rows through the stages starting at stageIndex.
+    var runStages = function (rows, stageIndex, callback) {
+        if (stageIndex == stages.length || rows.length == 0) {
+            callback(null, rows);
+            return;
+        }
+
+        stages[stageIndex](rows, function (err, newRows) {
+            if (err)
+                callback(err);
+            else
+                runStages(newRows, stageIndex + 1, callback);
+        });
+    };
+
+    return new stream.Transform({
+        objectMode: true,
+        transform: function (row, encoding, callback) {
+            var self = this;
+
+            try {
+                if (awaitingHeader) {
+                    awaitingHeader = false;
+                    header = row.slice();
+                    createStages();
+                    if (!buffering)
+                        this.push(header);
+                    callback();
+                    return;
+                }
+
+                if (stages === null)
+                    createStages();
+
+                runStages([row], 0, function (err, newRows) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    newRows.forEach(function (newRow) {
+                        if (buffering)
+                            bufferedRows.push(newRow);
+                        else
+                            self.push(newRow);
+                    });
+                    callback();
+                });
+            } catch (err) {
+                callback(err);
+            }
+        },
+        flush: function (callback) {
+            if (!buffering) {
+                callback();
+                return;
+            }
+
+            var self = this;
+            var targetRows = bufferedRows;
+            if (header !== null)
+                targetRows = [header].concat(bufferedRows);
+            bufferedRows = [];
+
+            refine(
+                bufferedOperations,
+                targetRows,
+                function (newTargetRows) {
+                    newTargetRows.forEach(function (row) {
+                        self.push(row);
+                    });
+                    callback();
+                },
+                function (err) {
+                    callback(new Error(err));
+                },
+                {headerRow: header !== null, inputs: options.inputs}
+            );
+        }
+    });
+};
@@ -21,6 +21,141 @@ var equalityStrategies = {
 };
 
 
+// Functions creating tests of a cell value against a rule's val attribute.
+var valueTests = {
+    '==': function(val) {
+        return function(cell) { return cell === val; };
+    },
+    '!=': function(val) {
+        return function(cell) { return cell !== val; };
+    },
+    '>': function(val) {
+        return createComparison(val, function(a, b) { return a > b; });
+    },
+    '>=': function(val) {
+        return createComparison(val, function(a, b) { return a >= b; });
+    },
+    '<': function(val) {
+        return createComparison(val, function(a, b) { return a < b; });
+    },
+    '<=': function(val) {
+        return createComparison(val, function(a, b) { return a <= b; });
+    },
+    'in': function(val) {
+        if (!(val instanceof Array))
+            throw new Error('The in test needs an Array of values.');
+        return function(cell) { return val.indexOf(cell) != -1; };
+    },
+    'between': function(val) {
+        if (!(val instanceof Array) || val.length != 2)
+            throw new Error('The between test needs a [min, max] Array.');
+        var isAbove = createComparison(val[0], function(a, b) {
+            return a >= b;
+        });
+        var isBelow = createComparison(val[1], function(a, b) {
+            return a <= b;
+        });
+        return function(cell) { return isAbove(cell) && isBelow(cell); };
+    },
+    'startsWith': function(val) {
+        return createStringTest(function(cell) {
+            return cell.substr(0, val.length) === val;
+        });
+    },
+    'endsWith': function(val) {
+        return createStringTest(function(cell) {
+            return val.length <= cell.length &&
+                cell.substr(cell.length - val.length) === val;
+        });
+    },
+    'contains': function(val) {
+        return createStringTest(function(cell) {
+            return cell.indexOf(val) != -1;
+        });
+    },
+    'regex': function(val, flags) {
+        var regex = new RegExp(val, flags);
+        return createStringTest(function(cell) {
+            return regex.test(cell);
+        });
+    }
+};
+
+
+/**
+ * Create a function that compares cell values against a value.
+ *
+ * Create a function that compares a cell against a value, comparing as Numbers
+ * if the value is a Number (cells that are not numeric never pass) and as
+ * Strings otherwise.
+ *
+ * @param {Object} val The value to compare cells against.
+ * @param {function} comparator Function taking the cell and val and returning
+ *      true if the comparison passes.
+ * @return {function} Function taking a cell and returning true or false.
+**/
+function createComparison(val, comparator)
+{
+    if (typeof val !== 'number') {
+        return function(cell) {
+            if (cell === undefined || cell === null)
+                return false;
+            return comparator(String(cell), String(val));
+        };
+    }
+
+    return function(cell) {
+        if (cell === undefined || cell === null || cell === '')
+            return false;
+        var cellNum = Number(cell);
+        return !isNaN(cellNum) && comparator(cellNum, val);
+    };
+}
+
+
+/**
+ * Create a function that tests only String cell values.
+ *
+ * @param {function} test Function taking a String and returning true or false.
+ * @return {function} Function taking a cell and returning false for cells that
+ *      are not Strings and the result of test otherwise.
+**/
+function createStringTest(test)
+{
+    return function(cell) {
+        if (!(cell instanceof String || typeof cell === 'string'))
+            return false;
+        return test(String(cell));
+    };
+}
+
+
+/**
+ * Create a function that checks if a cell value satisfies a value rule.
+ *
+ * Create a function checking a cell against the val attribute of a rule using
+ * the rule's test attribute. The test may be == (the default, strict
+ * equality), !=, >, >=, <, <=, in (val is an Array of allowed values), between
+ * (val is an inclusive [min, max] range), startsWith, endsWith, contains, or
+ * regex (val is a regular expression with optional flags attribute).
+ *
+ * @param {Object} rule The rule with val and optional test and flags
+ *      attributes.
+ * @return {function} Function that takes a cell value and returns true if the
+ *      rule is satisfied by that value and false otherwise.
+ * @throws Raises an Error if the test is unknown, the regular expression is
+ *      invalid, or val is not an Array for in or a [min, max] Array for
+ *      between.
+**/
+exports.createValueMatcher = function(rule)
+{
+    var test = rule.test === undefined ? '==' : rule.test;
+    if (!valueTests.hasOwnProperty(test))
+        throw new Error('Unknown value test: ' + test);
+    return valueTests[test](rule.val, rule.flags);
+};
+
+
 /**
  * Create a function which evalutes for the given inequality.
  *
@@ -114,16 +249,70 @@ exports.genericErrorHandler = function(err)
  *
  * @param {Object} input The user provided input. May be a String, Number,
  *      Array, or undefined.
+ * @param {Array} header Optional Array of column names (or null if the
+ *      dataset does not have a header row). If provided, column names in input
+ *      will be resolved to their column indices (see resolveColIndex). Should
+ *      only be given when input describes columns.
  * @return {Array} The fully qualified version of the user's input.
 **/
-exports.prepareListOfIndices = function(input)
+exports.prepareListOfIndices = function(input, header)
 {
+    var indices;
     if(input === undefined || input === exports.ANY_OPT)
         return exports.ANY_OPT;
     else if(input instanceof Array)
-        return input;
+        indices = input;
     else
-        return [input];
+        indices = [input];
+
+    if(header === undefined)
+        return indices;
+
+    return indices.map(function (e) {
+        return exports.resolveColIndex(e, header);
+    });
+};
+
+
+/**
+ * Resolve a user provided column reference to a column index.
+ *
+ * Resolve a column reference that may either be a column index (Number) or
+ * column name (String found in the header row) to a column index. Without a
+ * header row, only comparisons (see isComparison) are returned unchanged as
+ * there are no column names to find.
+ *
+ * @param {Object} col The column reference to resolve. May be a Number or a
+ *      String.
+ * @param {Array} header Array of column names or null if the dataset being
+ *      operated on does not have a header row.
+ * @return {Number} The index of the column referenced.
+ * @throws Raises an Error if the column is referenced by a name not found in
+ *      the header row or by name without a header row.
+**/
+exports.resolveColIndex = function(col, header)
+{
+    if(!(col instanceof String || typeof col === 'string'))
+        return col;
+
+    var index = header ? header.indexOf(col) : -1;
+    if(index != -1)
+        return index;
+    if(!header && exports.isComparison(col))
+        return col;
+    throw new Error('Unknown column name: ' + col);
+};
+
+
+/**
+ * Determine if a String describes a comparison like '>= 2' instead of a name.
+ *
+ * @param {String} text The text to check.
+ * @return {boolean} True if the text starts with a comparison operator.
+**/
+exports.isComparison = function(text)
+{
+    return /^[<>=!]/.test(text);
 };
 
 
@@ -142,6 +331,24 @@ exports.findMaxNumCols = function(targetRows)
 }
 
 
+/**
+ * Find the number of columns in a dataset, including its header row.
+ *
+ * @param {Array} targetRows An Array of Array rows.
+ * @param {Array} header The header row or null if the dataset does not have
+ *      one.
+ * @return {Number} Integer number of elements in the longest row (or header
+ *      row), 0 for an empty dataset without a header row.
+**/
+exports.findNumCols = function(targetRows, header)
+{
+    var numCols = header ? header.length : 0;
+    if (targetRows.length > 0)
+        numCols = Math.max(numCols, exports.findMaxNumCols(targetRows));
+    return numCols;
+};
+
+
 /**
  * Create a function to check to see if an index satsfies all index rules.
  *
@@ -193,3 +400,39 @@ exports.createKeepIndexChecker = function(rules)
         };
     }
 }
+
+
+/**
+ * Create a function that describes the cells of a row as a String key.
+ *
+ * Create a function that turns the cells of a row (or some of its columns)
+ * into a String such that rows have the same key only if those cells are
+ * equal, keeping values of different types (like 1 and '1') apart.
+ *
+ * @param {Array} colIndices Array of column indices to include in the key or
+ *      ANY_OPT for all columns.
+ * @return {function} Function taking a row and returning its String key.
+**/
+exports.createRowKeyFunc = function(colIndices)
+{
+    var describeCell = function (cell) {
+        if (cell instanceof Date)
+            return {date: cell.getTime()};
+        else if (cell === undefined)
+            return null;
+        else
+            return cell;
+    };
+
+    if (colIndices === exports.ANY_OPT) {
+        return function (row) {
+            return JSON.stringify(row.map(describeCell));
+        };
+    }
+
+    return function (row) {
+        return JSON.stringify(colIndices.map(function (colIndex) {
+            return describeCell(row[colIndex]);
+        }));
+    };
+};
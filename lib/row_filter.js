@@ -5,6 +5,7 @@
  * @license MIT
 **/
 
+var change_tracker = require('./change_tracker');
 var refine_util = require('./refine_util');
 
 
@@ -18,23 +19,27 @@ var refine_util = require('./refine_util');
  *
  * @param {Array} ignoreValueRules An Array of Object with rule information.
  *      Each object should have a col attribute (integer, column index to find
- *      the target value in) and val (primitive, the value to look for).
+ *      the target value in) and val (primitive, the value to look for). An
+ *      optional test attribute (see refine_util.createValueMatcher) changes
+ *      how the value is compared.
+ * @param {Array} header Array of column names used to resolve columns given
+ *      by name or null if the dataset does not have a header row.
  * @return {Array} An Array of functions returning true or false.
 **/
-function createKeepRowValFuncs(ignoreValueRules)
+function createKeepRowValFuncs(ignoreValueRules, header)
 {
     var shouldKeepValueFuncs = ignoreValueRules.map(function (rule) {
         var targetCol = rule.col;
-        var targetVal = rule.val;
+        var matchesVal = refine_util.createValueMatcher(rule);
 
-        var targetCols = refine_util.prepareListOfIndices(targetCol);
+        var targetCols = refine_util.prepareListOfIndices(targetCol, header);
 
         if (targetCols === refine_util.ANY_OPT) {
             return function (row, rowIndex) {
 
                 var numColumns = row.length;
                 for (var column=0; column<numColumns; column++) {
-                    if (row[column] === targetVal)
+                    if (matchesVal(row[column]))
                         return false;
                 }
                 return true;
@@ -45,7 +50,7 @@ function createKeepRowValFuncs(ignoreValueRules)
                 for (var i=0; i<numColumns; i++) {
                     var currentCol = targetCols[i];
                     var hasCol = row.length > currentCol;
-                    if (hasCol && row[currentCol] === targetVal)
+                    if (hasCol && matchesVal(row[currentCol]))
                         return false;
                 }
                 return true;
@@ -68,9 +73,11 @@ function createKeepRowValFuncs(ignoreValueRules)
  * @param {boolean} combinedWithAnd If true, satisfying any rule will have the
  *      row marked for removal. If false, all rules must be satisfied for a row
  *      to be marked for removal.
+ * @param {Array} header Array of column names used to resolve columns given
+ *      by name or null if the dataset does not have a header row.
  * @return {function} Function that tests for all of the provided rules.
 **/
-function createRowKeepFunc(rules, combinedWithAnd)
+function createRowKeepFunc(rules, combinedWithAnd, header)
 {
     var ignoreRowRules = rules.filter(function (e) {
         return e.index !== undefined;
@@ -82,14 +89,14 @@ function createRowKeepFunc(rules, combinedWithAnd)
     var ignoreValueRules = rules.filter(function (e) {
         return e.val !== undefined;
     });
-    var shouldKeepValueFuncs = createKeepRowValFuncs(ignoreValueRules);
+    var shouldKeepValueFuncs = createKeepRowValFuncs(ignoreValueRules, header);
 
     // Create rules to ignore rows containing all of many values.
     var ignoreCombinedValueRules = rules.filter(function (e) {
         return e.allOf !== undefined;
     });
     var shouldKeepCombinedFuncs = ignoreCombinedValueRules.map(function (rules){
-        return createRowKeepFunc(rules.allOf, false);
+        return createRowKeepFunc(rules.allOf, false, header);
     });
 
     // Prepare a function that runs all of the above rules.
@@ -136,6 +143,43 @@ function createRowKeepFunc(rules, combinedWithAnd)
 }
 
 
+/**
+ * Create a function that checks if a single row should be kept.
+ *
+ * Create a function that takes in a row (Array) and row index (Number) and
+ * returns false if any of the rules given to ignoreRowIf are fulfilled by that
+ * row and true otherwise. This allows rows to be filtered one at a time.
+ *
+ * @param {Array} params The rule specifications as passed to ignoreRowIf.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+ * @return {function} Function returning true if the row should be kept.
+**/
+exports.createRowFilter = function (params, context)
+{
+    var header = context ? context.header : null;
+    return createRowKeepFunc(params, true, header);
+};
+
+
+/**
+ * Create a function that removes a single row if it fulfills any rule.
+ *
+ * @param {Array} params The rule specifications as passed to ignoreRowIf.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+ * @return {function} Function that takes a row (Array) and row index (Number)
+ *      and returns the row if it should be kept and null otherwise.
+**/
+exports.createRowRefiner = function (params, context)
+{
+    var shouldKeepFunc = exports.createRowFilter(params, context);
+    return function (row, rowIndex) {
+        return shouldKeepFunc(row, rowIndex) ? row : null;
+    };
+};
+
+
 /**
  * Remove a row from the target dataset if one of the given rules are fulfilled.
  *
@@ -146,27 +190,34 @@ function createRowKeepFunc(rules, combinedWithAnd)
  *      Object) to operate on.
  * @param {Array} params The specifications to use when building the rules. Each
  *      should be of form {index: int}, {col: int, value: primitive}, or
- *      {combined: [{col: int, value: primitive}, ...]}.
+ *      {combined: [{col: int, value: primitive}, ...]}. If the dataset has a
+ *      header row, col may also be a column name or Array of column names.
  * @param {function} onSuccess The funciton to call after the rows have been
  *      filtered. Should take one parameter: a 2D Array (Array of Array of
  *      Object).
  * @param {function} onError The function to call if an error is enountered.
  *      Should take a single parameter (String) that describes the error
  *      encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
 **/
-exports.ignoreRowIf = function (targetRows, params, onSuccess, onError)
+exports.ignoreRowIf = function (targetRows, params, onSuccess, onError, context)
 {
-    var shouldKeepFunc = createRowKeepFunc(params, true);
+    var shouldKeepFunc = exports.createRowFilter(params, context);
 
     // Run the rules and create the modified version of the dataset.
     var retVal = [];
+    var keptIndices = [];
 
     var numRows = targetRows.length;
     for (var rowIndex=0; rowIndex<numRows; rowIndex++) {
         var targetRow = targetRows[rowIndex];
-        if (shouldKeepFunc(targetRow, rowIndex))
+        if (shouldKeepFunc(targetRow, rowIndex)) {
             retVal.push(targetRow);
+            keptIndices.push(rowIndex);
+        }
     }
 
+    change_tracker.fromContext(context).keepRows(keptIndices);
     onSuccess(retVal);
 }
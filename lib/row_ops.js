@@ -0,0 +1,272 @@
+/**
+ * Logic for operations comparing rows to each other.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var moment = require('moment');
+
+var change_tracker = require('./change_tracker');
+var refine_util = require('./refine_util');
+
+
+/**
+ * Remove rows that repeat an earlier (or later) row.
+ *
+ * Remove rows that are duplicates of another row, either across all of their
+ * cells or across a set of key columns. Rows are grouped by hashing their
+ * cells so that large datasets do not require comparing every pair of rows.
+ * The remaining rows keep their original order.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with optional attributes. cols is the column
+ *      index or name (or Array of them) to compare rows by and defaults to all
+ *      columns. keep is 'first' (the default) to keep the first row of each
+ *      set of duplicates or 'last' to keep the last. If count is true or a
+ *      String, a column with the number of duplicates removed for each kept
+ *      row is added after the last column and named count (or 'duplicates' if
+ *      count is true) in the header row.
+ * @param {function} onSuccess The function to call after the duplicates are
+ *      removed. Should take the modified dataset and the new header row (null
+ *      if there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.dedupeRows = function (targetRows, params, onSuccess, onError, context)
+{
+    if (params === undefined)
+        params = {};
+
+    var header = context ? context.header : null;
+    var tracker = change_tracker.fromContext(context);
+    var getKey = refine_util.createRowKeyFunc(
+        refine_util.prepareListOfIndices(params.cols, header)
+    );
+    var keepLast = params.keep === 'last';
+
+    // Find the row kept for each key and how many rows share that key.
+    var groups = {};
+    var numRows = targetRows.length;
+    for (var rowIndex=0; rowIndex<numRows; rowIndex++) {
+        var key = getKey(targetRows[rowIndex]);
+        if (!groups.hasOwnProperty(key)) {
+            groups[key] = {rowIndex: rowIndex, size: 1};
+        } else {
+            groups[key].size++;
+            if (keepLast)
+                groups[key].rowIndex = rowIndex;
+        }
+    }
+
+    var keptGroups = Object.keys(groups).map(function (key) {
+        return groups[key];
+    });
+    keptGroups.sort(function (a, b) { return a.rowIndex - b.rowIndex; });
+
+    tracker.keepRows(keptGroups.map(function (group) {
+        return group.rowIndex;
+    }));
+
+    if (!params.count) {
+        onSuccess(keptGroups.map(function (group) {
+            return targetRows[group.rowIndex];
+        }));
+        return;
+    }
+
+    // Add a column with the number of duplicates removed for each row.
+    var numCols = refine_util.findNumCols(targetRows, header);
+
+    var padRow = function (row) {
+        var newRow = row.slice();
+        while (newRow.length < numCols)
+            newRow.push(null);
+        return newRow;
+    };
+
+    var keptIndices = [];
+    for (var i=0; i<numCols; i++)
+        keptIndices.push(i);
+    tracker.keepCols(keptIndices.concat([null]));
+
+    var newHeader = null;
+    if (header) {
+        var countName = params.count === true ? 'duplicates' : params.count;
+        newHeader = padRow(header).concat([countName]);
+    }
+
+    onSuccess(
+        keptGroups.map(function (group) {
+            var newRow = padRow(targetRows[group.rowIndex]);
+            newRow.push(group.size - 1);
+            return newRow;
+        }),
+        newHeader
+    );
+};
+
+
+/**
+ * Determine if a cell should be treated as empty when sorting.
+ *
+ * @param {Object} cell The cell to check.
+ * @return {boolean} True if the cell is undefined, null, or an empty String.
+**/
+function isEmptyCell(cell)
+{
+    return cell === undefined || cell === null || cell === '';
+}
+
+
+// Functions creating a function that converts a cell into a value to compare
+// for each sort type. Converters return null for cells that cannot be
+// converted, which are sorted like empty cells.
+var sortValueConverters = {
+    number: function (key) {
+        return function (cell) {
+            var num = typeof cell === 'string' ? Number(cell.trim()) :
+                Number(cell);
+            return isNaN(num) ? null : num;
+        };
+    },
+    string: function (key) {
+        return function (cell) {
+            return cell instanceof Date ? cell.toISOString() : String(cell);
+        };
+    },
+    locale: function (key) {
+        return sortValueConverters.string(key);
+    },
+    date: function (key) {
+        return function (cell) {
+            var date;
+            if (cell instanceof Date || typeof cell === 'number')
+                date = moment(cell);
+            else if (key.format !== undefined)
+                date = moment(String(cell), key.format, true);
+            else
+                date = moment(String(cell), moment.ISO_8601, true);
+            return date.isValid() ? date.valueOf() : null;
+        };
+    }
+};
+
+
+/**
+ * Create a function that compares two rows by a sort key.
+ *
+ * @param {Object} key The sort key with a col attribute (column index) and
+ *      optional direction ('asc' or 'desc'), type ('string', 'number', 'date',
+ *      or 'locale'), format (moment format for String dates), locale (locale
+ *      for the locale type), and empty ('first' or 'last') attributes.
+ * @return {function} Function taking two rows and returning a negative
+ *      Number if the first should come first, a positive Number if the second
+ *      should come first, and 0 if they tie.
+**/
+function createKeyComparator(key)
+{
+    var type = key.type === undefined ? 'string' : key.type;
+    var toValue = sortValueConverters[type](key);
+    var directionSign = key.direction === 'desc' ? -1 : 1;
+    var emptySign = key.empty === 'first' ? -1 : 1;
+
+    var compareValues;
+    if (type === 'locale') {
+        var collator = new Intl.Collator(key.locale);
+        compareValues = collator.compare;
+    } else {
+        compareValues = function (a, b) {
+            if (a < b)
+                return -1;
+            else if (a > b)
+                return 1;
+            else
+                return 0;
+        };
+    }
+
+    var convert = function (cell) {
+        return isEmptyCell(cell) ? null : toValue(cell);
+    };
+
+    return function (rowA, rowB) {
+        var a = convert(rowA[key.col]);
+        var b = convert(rowB[key.col]);
+
+        // Empty cells go first or last regardless of direction.
+        if (a === null || b === null) {
+            if (a === null && b === null)
+                return 0;
+            return (a === null ? 1 : -1) * emptySign;
+        }
+
+        return compareValues(a, b) * directionSign;
+    };
+}
+
+
+/**
+ * Reorder rows by the values in one or more columns.
+ *
+ * Sort rows by a list of keys, each comparing a column as Numbers, Strings,
+ * dates, or Strings collated for a locale. Later keys break ties in earlier
+ * keys and rows that tie on every key keep their original order.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Array of Object sort keys or an Object with a keys
+ *      attribute (the Array of sort keys) and a pinFirstRow attribute which,
+ *      if true, keeps the first row at the top (for header rows not given to
+ *      refine through the headerRow option). Each key has a col attribute
+ *      (column index or name) and optional direction ('asc' by default or
+ *      'desc'), type ('string' by default, 'number', 'date', or 'locale'),
+ *      format (moment format to parse date Strings, which otherwise must be
+ *      ISO 8601), locale (locale for the locale type), and empty ('last' by
+ *      default or 'first', where empty or unparseable cells go) attributes.
+ * @param {function} onSuccess The function to call after the rows are sorted.
+ *      Should take the sorted dataset.
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.sortRows = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var keys = params instanceof Array ? params : params.keys;
+    var numPinned = params.pinFirstRow && targetRows.length > 0 ? 1 : 0;
+
+    var comparators = keys.map(function (key) {
+        var resolvedKey = {};
+        for (var name in key)
+            resolvedKey[name] = key[name];
+        resolvedKey.col = refine_util.resolveColIndex(key.col, header);
+        return createKeyComparator(resolvedKey);
+    });
+
+    var rowIndices = [];
+    for (var i=numPinned; i<targetRows.length; i++)
+        rowIndices.push(i);
+
+    rowIndices.sort(function (a, b) {
+        var numComparators = comparators.length;
+        for (var i=0; i<numComparators; i++) {
+            var result = comparators[i](targetRows[a], targetRows[b]);
+            if (result != 0)
+                return result;
+        }
+        return a - b;
+    });
+
+    if (numPinned > 0)
+        rowIndices.unshift(0);
+
+    change_tracker.fromContext(context).keepRows(rowIndices);
+    onSuccess(rowIndices.map(function (rowIndex) {
+        return targetRows[rowIndex];
+    }));
+};
@@ -10,22 +10,146 @@
  * @license MIT
 **/
 
+var fs = require('fs');
+
 var async = require('async');
 var moment = require('moment');
 
+var change_tracker = require('./change_tracker');
 var col_filter = require('./col_filter');
+var col_ops = require('./col_ops');
+var csv = require('./csv');
+var fill_ops = require('./fill_ops');
+var join_ops = require('./join_ops');
+var param_schemas = require('./param_schemas');
+var profile = require('./profile');
+var recipe_validator = require('./recipe_validator');
+var refine_stream = require('./refine_stream');
 var row_filter = require('./row_filter');
+var row_ops = require('./row_ops');
 var str_ops = require('./str_ops');
 var structure_ops = require('./structure_ops');
+var validate_ops = require('./validate_ops');
 var refine_util = require('./refine_util');
 
-// Index of available refinement strategies
+// Index of available refinement strategies. Each entry has the strategy
+// function, the param schema (see recipe_validator) or undefined, if the
+// operation can run one row at a time (streamable), optionally a function
+// creating a row refining function for streams (createRowFunc), and if the
+// operation is built into this library (builtIn).
 var refineStrategies = {
-    ignoreRowIf: row_filter.ignoreRowIf,
-    ignoreColIf: col_filter.ignoreColIf,
-    replace: str_ops.replace,
-    interpretStr: str_ops.interpretStr,
-    transpose: structure_ops.transpose
+    ignoreRowIf: {
+        strategy: row_filter.ignoreRowIf,
+        schema: param_schemas.ignoreRowIf,
+        streamable: true,
+        createRowFunc: row_filter.createRowRefiner,
+        builtIn: true
+    },
+    ignoreColIf: {
+        strategy: col_filter.ignoreColIf,
+        schema: param_schemas.ignoreColIf,
+        streamable: false,
+        builtIn: true
+    },
+    replace: {
+        strategy: str_ops.replace,
+        schema: param_schemas.replace,
+        streamable: true,
+        createRowFunc: str_ops.createReplacer,
+        builtIn: true
+    },
+    interpretStr: {
+        strategy: str_ops.interpretStr,
+        schema: param_schemas.interpretStr,
+        streamable: true,
+        createRowFunc: str_ops.createInterpreter,
+        builtIn: true
+    },
+    normalizeText: {
+        strategy: str_ops.normalizeText,
+        schema: param_schemas.normalizeText,
+        streamable: true,
+        createRowFunc: str_ops.createNormalizer,
+        builtIn: true
+    },
+    transpose: {
+        strategy: structure_ops.transpose,
+        schema: param_schemas.transpose,
+        streamable: false,
+        builtIn: true
+    },
+    deriveCol: {
+        strategy: col_ops.deriveCol,
+        schema: param_schemas.deriveCol,
+        streamable: false,
+        builtIn: true
+    },
+    splitCol: {
+        strategy: col_ops.splitCol,
+        schema: param_schemas.splitCol,
+        streamable: false,
+        builtIn: true
+    },
+    mergeCols: {
+        strategy: col_ops.mergeCols,
+        schema: param_schemas.mergeCols,
+        streamable: false,
+        builtIn: true
+    },
+    dedupeRows: {
+        strategy: row_ops.dedupeRows,
+        schema: param_schemas.dedupeRows,
+        streamable: false,
+        builtIn: true
+    },
+    sortRows: {
+        strategy: row_ops.sortRows,
+        schema: param_schemas.sortRows,
+        streamable: false,
+        builtIn: true
+    },
+    aggregate: {
+        strategy: structure_ops.aggregate,
+        schema: param_schemas.aggregate,
+        streamable: false,
+        builtIn: true
+    },
+    pivot: {
+        strategy: structure_ops.pivot,
+        schema: param_schemas.pivot,
+        streamable: false,
+        builtIn: true
+    },
+    unpivot: {
+        strategy: structure_ops.unpivot,
+        schema: param_schemas.unpivot,
+        streamable: false,
+        builtIn: true
+    },
+    melt: {
+        strategy: structure_ops.unpivot,
+        schema: param_schemas.unpivot,
+        streamable: false,
+        builtIn: true
+    },
+    join: {
+        strategy: join_ops.join,
+        schema: param_schemas.join,
+        streamable: false,
+        builtIn: true
+    },
+    fillMissing: {
+        strategy: fill_ops.fillMissing,
+        schema: param_schemas.fillMissing,
+        streamable: false,
+        builtIn: true
+    },
+    validate: {
+        strategy: validate_ops.validate,
+        schema: param_schemas.validate,
+        streamable: false,
+        builtIn: true
+    }
 };
 
 
@@ -44,19 +168,129 @@ var refineStrategies = {
  * @param {Array} targetRows The Array of Array (dataset, table, 2D array) to
  *      operate on. A copy of this dataset will be made and this original
  *      dataset will not be modified.
+ * @param {Object} context Information about the dataset passed to the
+ *      strategy. The header attribute is the Array of column names or null if
+ *      the dataset does not have a header row. The tracker attribute is the
+ *      change_tracker.ChangeTracker recording changes or null. The inputs
+ *      attribute has an Object with header and rows attributes for each other
+ *      dataset given to refine by name. The reportViolations attribute is a
+ *      function taking an Array of validation violations for the report.
  * @param {function} onSuccess The function to call after the operation
- *      finishes. That function should take a single parameter for an Array of
- *      Array that will be a modified copy of the original dataset.
+ *      finishes. That function should take an Array of Array that will be a
+ *      modified copy of the original dataset and, if the operation changed the
+ *      columns of the dataset, the new header row.
  * @param {function} onError An optional parameter for a function to call if
  *      an error is encountered during the refinement operation. This function
- *      should take a single String argument that describes the error
- *      encountered. If this parameter is not provided, an Error will be thrown
- *      if an error is encountered.
+ *      should take a String argument that describes the error encountered
+ *      and, for failed validations, the Array of violations found. If this
+ *      parameter is not provided, an Error will be thrown if an error is
+ *      encountered.
+**/
+function executeOperation(operation, targetRows, context, onSuccess, onError)
+{
+    var strategy = refineStrategies[operation.operation].strategy;
+
+    // Report Errors raised by the strategy itself (like bad column names)
+    // through onError but leave those raised by later callbacks alone.
+    var finished = false;
+    var innerOnSuccess = function (newTargetRows, newHeader) {
+        finished = true;
+        onSuccess(newTargetRows, newHeader);
+    };
+    var innerOnError = function (err, details) {
+        finished = true;
+        onError(err, details);
+    };
+
+    try {
+        strategy(
+            targetRows,
+            operation.param,
+            innerOnSuccess,
+            innerOnError,
+            context
+        );
+    } catch (err) {
+        if (finished)
+            throw err;
+        onError(err.message);
+    }
+}
+
+
+/**
+ * Record which step of a recipe found a set of validation violations.
+ *
+ * @param {Array} violations Array of Object violations (see
+ *      validate_ops.validate).
+ * @param {Number} step The index of the step in the recipe.
+ * @return {Array} Copies of the violations with a step attribute.
+**/
+function tagViolations(violations, step)
+{
+    return violations.map(function (violation) {
+        var tagged = {step: step};
+        for (var name in violation)
+            tagged[name] = violation[name];
+        return tagged;
+    });
+}
+
+
+/**
+ * Fully qualify a user's description of the operation(s) to run.
+ *
+ * @param {Object or Array} operation Single operation Object or Array of
+ *      operation Objects.
+ * @return {Array} Array of operation Objects.
 **/
-function executeOperation(operation, targetRows, onSuccess, onError)
+function prepareOperations(operation)
 {
-    var strategy = refineStrategies[operation.operation];
-    strategy(targetRows, operation.param, onSuccess, onError);
+    if(!(operation instanceof Array))
+        return [operation];
+    else
+        return operation;
+}
+
+
+/**
+ * Run a callback style function, providing its result through a Promise.
+ *
+ * @param {function} run The function to run. Will be passed an onSuccess and
+ *      onError callback like those taken by refine.
+ * @param {String} resultName Optional name of the attribute holding the value
+ *      passed to onSuccess when a report is also passed. Defaults to rows.
+ * @return {Promise} Promise resolving to the value passed to onSuccess or, if
+ *      a report is also passed (see the refine dryRun and lineage options), an
+ *      Object with resultName and report attributes. Rejects with an Error
+ *      describing the error passed to onError with a problems attribute if the
+ *      recipe was invalid.
+**/
+function createPromise(run, resultName)
+{
+    if(resultName === undefined)
+        resultName = 'rows';
+
+    return new Promise(function (resolve, reject) {
+        run(
+            function (result, report) {
+                if(report === undefined) {
+                    resolve(result);
+                    return;
+                }
+
+                var resultWithReport = {report: report};
+                resultWithReport[resultName] = result;
+                resolve(resultWithReport);
+            },
+            function (err, problems) {
+                var error = err instanceof Error ? err : new Error(err);
+                if(problems !== undefined)
+                    error.problems = problems;
+                reject(error);
+            }
+        );
+    });
 }
 
 
@@ -79,46 +313,467 @@ function executeOperation(operation, targetRows, onSuccess, onError)
  *      dataset will not be modified.
  * @param {function} onSuccess The function to call after the operation
  *      finishes. That function should take a single parameter for an Array of
- *      Array that will be a modified copy of the original dataset.
+ *      Array that will be a modified copy of the original dataset. If the
+ *      dryRun or lineage option is true or the recipe has a validate
+ *      operation, it will also be passed a report.
  * @param {function} onError An optional parameter for a function to call if
  *      an error is encountered during the refinement operation. This function
  *      should take a single String argument that describes the error
- *      encountered. If this parameter is not provided, an Error will be thrown
- *      if an error is encountered.
+ *      encountered. If the recipe is invalid, none of the operations will be
+ *      run and this function will also be passed an Array of Object describing
+ *      each problem found with step (operation index), path (location of the
+ *      offending field), and message attributes. If a validate operation
+ *      fails, it will be passed the Array of violations found (see the
+ *      report's violations attribute). If this parameter is not provided, an
+ *      Error will be thrown if an error is encountered.
+ * @param {Object} options An optional Object with additional settings. If the
+ *      headerRow attribute is true, the first row of targetRows will be treated
+ *      as a header row of column names. Columns may then be referred to by
+ *      name, the header row will not be considered by the operations, and the
+ *      (updated) header row will be provided as the first row of the output.
+ *      If the dryRun attribute is true, a report (see
+ *      change_tracker.ChangeTracker.getReport) of the rows and columns removed
+ *      and cells changed by each operation, given in terms of the original
+ *      dataset's row and column indices, will be passed to onSuccess after
+ *      the refined dataset in the steps attribute of a report Object. The
+ *      original dataset is never modified. If the lineage attribute is true,
+ *      the report's lineage attribute will have an Array for each row of the
+ *      refined dataset (null for the header row) with an Object for each cell
+ *      (see change_tracker.ChangeTracker.getLineage) giving the cell's
+ *      original row and col indices and the steps that created or changed it.
+ *      The inputs attribute may be an Object with other datasets (Array of
+ *      Array, starting with a header row if headerRow is true) by name for
+ *      operations like join that combine datasets. If the recipe has a
+ *      validate operation, the report is always passed and its violations
+ *      attribute lists the violations found with step, row, col, value, and
+ *      rule attributes.
+ * @return {Promise} If onSuccess is not provided, a Promise resolving to the
+ *      refined dataset (or an Object with rows and report attributes if the
+ *      dryRun or lineage option is true or the recipe has a validate
+ *      operation) and rejecting with an Error. The options may then be passed
+ *      in place of onSuccess. Otherwise undefined.
 **/
-exports.refine = function(operation, targetRows, onSuccess, onError)
+exports.refine = function(operation, targetRows, onSuccess, onError, options)
 {
+    if(typeof onSuccess !== 'function') {
+        if(options === undefined && onSuccess)
+            options = onSuccess;
+        return createPromise(function (resolve, reject) {
+            exports.refine(operation, targetRows, resolve, reject, options);
+        });
+    }
+
     if(onError === undefined)
         onError = refine_util.genericErrorHandler;
+
+    if(options === undefined)
+        options = {};
     
-    var operations;
-    if(!(operation instanceof Array)) {
-        operations = [operation];
-    } else {
-        operations = operation;
+    var operations = prepareOperations(operation);
+
+    // Check all of the operations before running any of them.
+    var problems = recipe_validator.validateRecipe(
+        operations,
+        refineStrategies
+    );
+    if(problems.length > 0) {
+        onError(recipe_validator.describeProblems(problems), problems);
+        return;
     }
 
-    var executeOperationClosure = function (targetRows, operation, callback) {
-        var innerOnError = function (err) { 
+    // Separate the header row from the data if requested.
+    var splitHeader = function (rows) {
+        if(options.headerRow && rows.length > 0)
+            return {header: rows[0].slice(), rows: rows.slice(1)};
+        else
+            return {header: null, rows: rows};
+    };
+    var table = splitHeader(targetRows);
+
+    var inputs = {};
+    for(var name in options.inputs) {
+        if(options.inputs.hasOwnProperty(name))
+            inputs[name] = splitHeader(options.inputs[name]);
+    }
+
+    // Record the changes made by each operation if requested.
+    var tracker = null;
+    if(options.dryRun || options.lineage) {
+        tracker = new change_tracker.ChangeTracker(
+            table.rows.length,
+            table.rows.length > 0 ? refine_util.findMaxNumCols(table.rows) : 0
+        );
+    }
+
+    // Collect the violations found by validate steps, which always report
+    // them.
+    var hasValidation = operations.some(function (operation) {
+        return operation.operation === 'validate';
+    });
+    var violations = [];
+    var errorDetails;
+
+    var step = 0;
+    var executeOperationClosure = function (table, operation, callback) {
+        var currentStep = step;
+        var innerOnError = function (err, details) { 
+            if(details !== undefined)
+                errorDetails = tagViolations(details, currentStep);
             callback(err, null);
         };
         
-        var innerOnSuccess = function(newTargetRows) {
-            callback(null, newTargetRows);
+        var innerOnSuccess = function(newTargetRows, newHeader) {
+            if(newHeader === undefined)
+                newHeader = table.header;
+            if(tracker)
+                tracker.endStep(newTargetRows);
+            callback(null, {header: newHeader, rows: newTargetRows});
         };
+
+        if(tracker)
+            tracker.beginStep(step, operation.operation);
+        step++;
         
-        executeOperation(operation, targetRows, innerOnSuccess, innerOnError);
+        executeOperation(
+            operation,
+            table.rows,
+            {
+                header: table.header,
+                tracker: tracker,
+                inputs: inputs,
+                reportViolations: function (found) {
+                    violations.push.apply(
+                        violations,
+                        tagViolations(found, currentStep)
+                    );
+                }
+            },
+            innerOnSuccess,
+            innerOnError
+        );
     };
 
     async.reduce(
         operations,
-        targetRows,
+        table,
         executeOperationClosure,
-        function (error, newTargetRows) {
-            if(error)
-                onError(error);
-            else
+        function (error, newTable) {
+            if(error) {
+                onError(error, errorDetails);
+                return;
+            }
+
+            var newTargetRows = newTable.rows;
+            if(newTable.header)
+                newTargetRows = [newTable.header].concat(newTable.rows);
+
+            if(!tracker && !hasValidation) {
                 onSuccess(newTargetRows);
+                return;
+            }
+
+            var report = {};
+            if(hasValidation)
+                report.violations = violations;
+            if(options.dryRun)
+                report.steps = tracker.getReport().steps;
+            if(options.lineage) {
+                report.lineage = tracker.getLineage(newTable.rows);
+                if(newTable.header)
+                    report.lineage.unshift(null);
+            }
+            onSuccess(newTargetRows, report);
         }
     );
 }
+
+
+/**
+ * Refine a dataset serialized as delimited text (like CSV or TSV).
+ *
+ * Parse delimited text into an Array of Array, execute refinement operation(s)
+ * on that dataset (see refine), and write the result back out as delimited
+ * text.
+ *
+ * @param {Object or Array} operation Description of the operation(s) to
+ *      execute. See refine.
+ * @param {String} text The delimited text to parse and refine.
+ * @param {function} onSuccess The function to call after the operation
+ *      finishes. That function should take the refined dataset as delimited
+ *      text and, like for refine, the report (if any).
+ * @param {function} onError An optional parameter for a function to call if
+ *      an error is encountered while parsing or refining. See refine.
+ * @param {Object} options An optional Object with settings for both reading
+ *      and writing delimited text (see csv.parse and csv.stringify) and for
+ *      refinement (see refine).
+ * @return {Promise} If onSuccess is not provided, a Promise resolving to the
+ *      refined delimited text (or an Object with csv and report attributes if
+ *      there is a report) and rejecting with an Error. The options may then be
+ *      passed in place of onSuccess. Otherwise undefined.
+**/
+exports.refineCsv = function(operation, text, onSuccess, onError, options)
+{
+    if(typeof onSuccess !== 'function') {
+        if(options === undefined && onSuccess)
+            options = onSuccess;
+        return createPromise(function (resolve, reject) {
+            exports.refineCsv(operation, text, resolve, reject, options);
+        }, 'csv');
+    }
+
+    if(onError === undefined)
+        onError = refine_util.genericErrorHandler;
+
+    var targetRows;
+    try {
+        targetRows = csv.parse(text, options);
+    } catch (err) {
+        onError(err.message);
+        return;
+    }
+
+    exports.refine(
+        operation,
+        targetRows,
+        function (newTargetRows, report) {
+            onSuccess(csv.stringify(newTargetRows, options), report);
+        },
+        onError,
+        options
+    );
+};
+
+
+/**
+ * Refine a dataset stored in a delimited text (like CSV or TSV) file.
+ *
+ * Read a UTF-8 delimited text file and refine its contents (see refineCsv).
+ *
+ * @param {Object or Array} operation Description of the operation(s) to
+ *      execute. See refine.
+ * @param {String} path The path of the file to read.
+ * @param {function} onSuccess The function to call after the operation
+ *      finishes. See refineCsv.
+ * @param {function} onError An optional parameter for a function to call if
+ *      an error is encountered while reading, parsing, or refining. See refine.
+ * @param {Object} options An optional Object with settings for both reading
+ *      and writing delimited text (see csv.parse and csv.stringify) and for
+ *      refinement (see refine).
+ * @return {Promise} If onSuccess is not provided, a Promise resolving like
+ *      that of refineCsv and rejecting with an Error. The options may then be
+ *      passed in place of onSuccess. Otherwise undefined.
+**/
+exports.refineCsvFile = function(operation, path, onSuccess, onError, options)
+{
+    if(typeof onSuccess !== 'function') {
+        if(options === undefined && onSuccess)
+            options = onSuccess;
+        return createPromise(function (resolve, reject) {
+            exports.refineCsvFile(operation, path, resolve, reject, options);
+        }, 'csv');
+    }
+
+    if(onError === undefined)
+        onError = refine_util.genericErrorHandler;
+
+    fs.readFile(path, 'utf8', function (err, text) {
+        if(err)
+            onError(err.message);
+        else
+            exports.refineCsv(operation, text, onSuccess, onError, options);
+    });
+};
+
+
+/**
+ * Create a stream that refines a dataset one row at a time.
+ *
+ * Create a Node Transform stream (object mode) that takes rows (Array) and
+ * emits refined rows, allowing datasets larger than memory to be refined.
+ * The ignoreRowIf, replace, interpretStr, and normalizeText operations (along
+ * with operations registered as streamable) are run on each row as it arrives
+ * with backpressure. Other operations need the whole dataset and
+ * are only allowed if the buffer option is true, in which case the rows
+ * reaching the first such operation are held in memory until the input ends.
+ *
+ * @param {Object or Array} operation Description of the operation(s) to
+ *      execute. See refine.
+ * @param {Object} options An optional Object with additional settings. If the
+ *      headerRow attribute is true, the first row will be treated as column
+ *      names (see refine). If the buffer attribute is true, operations needing
+ *      the whole dataset will be buffered instead of rejected.
+ * @return {stream.Transform} Stream writing and reading Arrays. Errors raised
+ *      while refining rows are emitted as error events.
+ * @throws Raises an Error if the recipe is invalid (with a problems attribute,
+ *      see refine) or needs the whole dataset without the buffer option.
+**/
+exports.createRefineStream = function(operation, options)
+{
+    if(options === undefined)
+        options = {};
+
+    var operations = prepareOperations(operation);
+
+    var problems = recipe_validator.validateRecipe(
+        operations,
+        refineStrategies
+    );
+    if(problems.length > 0) {
+        var err = new Error(recipe_validator.describeProblems(problems));
+        err.problems = problems;
+        throw err;
+    }
+
+    return refine_stream.createRefineStream(
+        operations,
+        options,
+        refineStrategies,
+        exports.refine
+    );
+};
+
+
+/**
+ * Add a custom refinement operation that can be used in recipes.
+ *
+ * Register a function as a refinement operation so that it can be used in
+ * recipes alongside the built in operations. The function should take the
+ * same parameters as the built in strategies: the dataset (Array of Array,
+ * which should not be modified), the operation's param, an onSuccess function
+ * to call with the refined copy of the dataset, an onError function to call
+ * with a String description of any error encountered, and a context Object
+ * whose header attribute is the Array of column names (or null if the dataset
+ * has no header row) and whose inputs attribute has the other datasets given
+ * to refine (see executeOperation). If the operation changes the columns of a
+ * dataset with a header row, it should pass the new header row to onSuccess
+ * after the refined dataset.
+ *
+ * @param {String} name The name used to refer to the operation in recipes.
+ * @param {function} fn The strategy function implementing the operation.
+ * @param {Object} options An optional Object with a schema attribute (see
+ *      recipe_validator) used to check the operation's param before a recipe
+ *      runs and a streamable attribute (boolean). If streamable is true, the
+ *      operation only looks at one row at a time and may be used in
+ *      createRefineStream, where it will be given small batches of rows as
+ *      they arrive.
+ * @throws Raises an Error if the name is already used by another operation,
+ *      fn is not a function, or the schema has an unknown type.
+**/
+exports.registerOperation = function(name, fn, options)
+{
+    if(options === undefined)
+        options = {};
+
+    if(typeof name !== 'string' || name === '')
+        throw new Error('Operation name must be a non-empty String.');
+
+    if(typeof fn !== 'function')
+        throw new Error('Operation ' + name + ' must be a function.');
+
+    if(refineStrategies.hasOwnProperty(name))
+        throw new Error('Operation ' + name + ' is already registered.');
+
+    if(options.schema !== undefined) {
+        var schemaProblems = recipe_validator.findSchemaProblems(
+            options.schema
+        );
+        if(schemaProblems.length > 0) {
+            throw new Error(
+                'Operation ' + name + ' has an invalid schema: ' +
+                schemaProblems.join(' ')
+            );
+        }
+    }
+
+    refineStrategies[name] = {
+        strategy: fn,
+        schema: options.schema,
+        streamable: options.streamable === true,
+        builtIn: false
+    };
+};
+
+
+/**
+ * Remove a refinement operation so that it can no longer be used in recipes.
+ *
+ * @param {String} name The name of the operation to remove. Built in
+ *      operations may also be removed (and replaced through
+ *      registerOperation).
+ * @return {boolean} True if the operation was removed and false if there was
+ *      no operation with the given name.
+**/
+exports.unregisterOperation = function(name)
+{
+    if(!refineStrategies.hasOwnProperty(name))
+        return false;
+
+    delete refineStrategies[name];
+    return true;
+};
+
+
+/**
+ * List the refinement operations that can be used in recipes.
+ *
+ * @return {Array} Array of Object, one for each available operation, with
+ *      name (String), streamable (boolean), and builtIn (boolean, false for
+ *      operations added through registerOperation) attributes.
+**/
+exports.listOperations = function()
+{
+    return Object.keys(refineStrategies).map(function (name) {
+        var entry = refineStrategies[name];
+        return {
+            name: name,
+            streamable: entry.streamable,
+            builtIn: entry.builtIn
+        };
+    });
+};
+
+
+/**
+ * Describe the type and values of each column in a dataset.
+ *
+ * Scan a dataset and report, for each column, its likely type (bool, integer,
+ * number, date with the detected format, string, or empty), the number of
+ * blank and distinct cells, the most common values, the range of values, and
+ * the range of text lengths. Types are detected with the same parsing as
+ * interpretStr and the report includes interpretStr operations that convert
+ * each column to its type, which can start a recipe.
+ *
+ * @param {Array} targetRows The Array of Array (dataset, table, 2D array) to
+ *      describe. This dataset will not be modified.
+ * @param {Object} options Optional Object with headerRow (true if the first
+ *      row has column names), top (the maximum Number of most common values
+ *      to report per column, defaults to 5), dates (Array of moment formats,
+ *      or Arrays of formats, tried in order when detecting dates), bools
+ *      (interpretStr bools option used to detect booleans), and numbers
+ *      (interpretStr numbers option used to detect numbers) attributes.
+ * @return {Object} Object with rows (the Number of rows, not counting the
+ *      header row), cols (Array of Object describing each column), and recipe
+ *      (Array of interpretStr operations) attributes. See the README for the
+ *      attributes describing each column.
+**/
+exports.profile = function(targetRows, options)
+{
+    if(options === undefined)
+        options = {};
+
+    var hasHeader = options.headerRow && targetRows.length > 0;
+    return profile.profile(
+        hasHeader ? targetRows.slice(1) : targetRows,
+        hasHeader ? targetRows[0] : null,
+        options
+    );
+};
+
+
+/**
+ * Another name for profile, describing the type of each column in a dataset.
+**/
+exports.inferSchema = exports.profile;
+
+
+exports.csv = csv;
@@ -7,31 +7,88 @@
 
 var moment = require('moment');
 
+var change_tracker = require('./change_tracker');
 var refine_util = require('./refine_util');
 
 
 /**
- * Runs a find / replace operation on the provided dataset.
+ * Create a function that replaces the value of a single cell for a rule.
  *
- * Searches for a set of strings and replaces that set of strings with a
- * cooresponding set of strings. The replace will only be executed if the entire
- * string be searched for is found and that the string being searched for is
- * of the same length of the string the replace is being executed in.
+ * Create a function that replaces a value according to the match mode of a
+ * replace rule. In exact mode (the default), the value is replaced only if it
+ * is exactly the same as orig. In substring mode, occurrences of orig within
+ * String values are replaced. In regex mode, orig is treated as a regular
+ * expression (with optional flags) and new may refer to capture groups like
+ * $1. Substring and regex modes replace all matches unless all is false.
  *
- * @param {Array} targetRows The dataset (Array of Array, 2D Array, and table)
- *      to search through for the target strings.
- * @param {Array} params Array of Object with information about the strings to
- *      find and the strings to replace them with. Each Object should have an
- *      orig and new attribute, each a string. The former is the string to
- *      search for and the later is the string to replace it with.
+ * @param {Object} rule The replace rule with orig, new, and optional match,
+ *      flags, and all attributes.
+ * @return {function} Function that takes a value and returns the replaced
+ *      value.
+ * @throws Raises an Error if the match mode is unknown or the regular
+ *      expression is invalid.
+**/
+function createValueReplacer(rule)
+{
+    var match = rule.match === undefined ? 'exact' : rule.match;
+    var replaceAll = rule.all !== false;
+    var isString = function (target) {
+        return target instanceof String || typeof target === 'string';
+    };
+
+    if (match === 'exact') {
+        return function (target) {
+            if(rule.orig === target)
+                return target.replace(rule.orig, rule.new);
+            else
+                return target;
+        };
+    } else if (match === 'substring') {
+        return function (target) {
+            if (!isString(target) || rule.orig === '')
+                return target;
+            else if (replaceAll)
+                return target.split(rule.orig).join(rule.new);
+            else
+                return target.replace(rule.orig, function () {
+                    return rule.new;
+                });
+        };
+    } else if (match === 'regex') {
+        var flags = (rule.flags || '').replace('g', '');
+        var regex = new RegExp(rule.orig, replaceAll ? flags + 'g' : flags);
+        return function (target) {
+            if (!isString(target))
+                return target;
+            else
+                return target.replace(regex, rule.new);
+        };
+    } else {
+        throw new Error('Unknown replace match mode: ' + match);
+    }
+}
+
+
+/**
+ * Create a function that runs a find / replace operation on a single row.
+ *
+ * @param {Array} params The find / replace rules as passed to replace.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+ * @return {function} Function that takes a row (Array) and row index (Number)
+ *      and returns a modified copy of that row.
 **/
-exports.replace = function(targetRows, params, onSuccess, onError)
+exports.createReplacer = function(params, context)
 {
+    var header = context ? context.header : null;
+    var tracker = change_tracker.fromContext(context);
+
     // Generate functions to replace certain strings with others.
     var replaceFuncs = params.map(function (rule) {
         
         var rows = refine_util.prepareListOfIndices(rule.row);
-        var cols = refine_util.prepareListOfIndices(rule.col);
+        var cols = refine_util.prepareListOfIndices(rule.col, header);
+        var replaceValue = createValueReplacer(rule);
         
         return function (target, rowIndex, colIndex) {
             if(rows !== refine_util.ANY_OPT && rows.indexOf(rowIndex) == -1)
@@ -40,10 +97,7 @@ exports.replace = function(targetRows, params, onSuccess, onError)
             if(cols !== refine_util.ANY_OPT && cols.indexOf(colIndex) == -1)
                 return target;
 
-            if(rule.orig === target)
-                return target.replace(rule.orig, rule.new);
-            else
-                return target;
+            return replaceValue(target);
         };
     });
 
@@ -57,78 +111,426 @@ exports.replace = function(targetRows, params, onSuccess, onError)
         var numReplaceFuncs = replaceFuncs.length;
         for(var funcIndex=0; funcIndex<numReplaceFuncs; funcIndex++)
         {
-            target = replaceFuncs[funcIndex](target, rowIndex, colIndex);
+            var newTarget = replaceFuncs[funcIndex](target, rowIndex, colIndex);
+            if(newTarget !== target) {
+                tracker.changeCell(
+                    rowIndex,
+                    colIndex,
+                    target,
+                    newTarget,
+                    funcIndex
+                );
+            }
+            target = newTarget;
         }
 
         return target;
     }
 
+    return function (targetRow, rowIndex) {
+        var newRow = [];
+        var numCols = targetRow.length;
+        for (var colIndex=0; colIndex < numCols; colIndex++) {
+            var targetVal = targetRow[colIndex];
+            targetVal = runReplaceFuncs(targetVal, rowIndex, colIndex);
+            newRow.push(targetVal);
+        }
+        return newRow;
+    };
+};
+
+
+/**
+ * Runs a find / replace operation on the provided dataset.
+ *
+ * Searches for a set of strings and replaces that set of strings with a
+ * cooresponding set of strings. By default, the replace will only be executed
+ * if the entire string be searched for is found and that the string being
+ * searched for is of the same length of the string the replace is being
+ * executed in. Rules may instead match substrings or regular expressions.
+ *
+ * @param {Array} targetRows The dataset (Array of Array, 2D Array, and table)
+ *      to search through for the target strings.
+ * @param {Array} params Array of Object with information about the strings to
+ *      find and the strings to replace them with. Each Object should have an
+ *      orig and new attribute, each a string. The former is the string to
+ *      search for and the later is the string to replace it with. The optional
+ *      col attribute may name columns if the dataset has a header row. The
+ *      optional match attribute may be exact (default), substring, or regex
+ *      with optional flags (String like "i") and all (boolean, defaults to
+ *      true, false to only replace the first match) attributes.
+ * @param {function} onSuccess The function to call with the modified copy of
+ *      the dataset.
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single String parameter describing the error.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.replace = function(targetRows, params, onSuccess, onError, context)
+{
+    var replaceRow = exports.createReplacer(params, context);
+
     // Run the replace functions on all rows.
     var retVal = [];
     var numRows = targetRows.length;
     for (var rowIndex=0; rowIndex<numRows; rowIndex++) {
-        var targetRow = targetRows[rowIndex];
+        retVal.push(replaceRow(targetRows[rowIndex], rowIndex));
+    }
+    onSuccess(retVal);
+}
+
+
+/**
+ * Create a function that changes the cells of a row within a row / col scope.
+ *
+ * @param {Object} params Object with optional row (row index(ices)) and col
+ *      (column index(ices) or name(s)) attributes limiting which cells are
+ *      changed.
+ * @param {Array} header Array of column names or null if the dataset does not
+ *      have a header row.
+ * @param {function} changeValue Function taking a cell, its row index, and its
+ *      column index and returning the new value of the cell.
+ * @return {function} Function that takes a row (Array) and row index (Number)
+ *      and returns a modified copy of that row.
+**/
+function createScopedRowFunc(params, header, changeValue)
+{
+    // Parse user options for which rows and columns to operate on.
+    var rows = refine_util.prepareListOfIndices(params.row);
+    var cols = refine_util.prepareListOfIndices(params.col, header);
+
+    return function (targetRow, rowIndex) {
+        if (rows !== refine_util.ANY_OPT && rows.indexOf(rowIndex) == -1)
+            return targetRow.slice();
+
         var newRow = [];
         var numCols = targetRow.length;
-        for (colIndex=0; colIndex < numCols; colIndex++) {
+        for (var colIndex=0; colIndex<numCols; colIndex++) {
             var targetVal = targetRow[colIndex];
-            targetVal = runReplaceFuncs(targetVal, rowIndex, colIndex);
-            newRow.push(targetVal);
+            if (cols===refine_util.ANY_OPT || cols.indexOf(colIndex)!=-1) {
+                targetVal = changeValue(targetVal, rowIndex, colIndex);
+                newRow.push(targetVal);
+            } else {
+                newRow.push(targetVal);
+            }
         }
-        retVal.push(newRow);
+        return newRow;
+    };
+}
+
+
+// Functions converting a valid moment into a cell value for each date output
+// option other than a custom format.
+var dateOutputs = {
+    iso: function (date) { return date.toISOString(); },
+    millis: function (date) { return date.valueOf(); },
+    date: function (date) { return date.toDate(); }
+};
+
+
+/**
+ * Create a function that interprets a String as a date.
+ *
+ * @param {Object} dates The dates option given to interpretStr: a moment
+ *      format String, an Array of them, or an Object with a formats attribute
+ *      (String or Array) and optional strict and output attributes.
+ * @return {function} Function taking a cell and returning the date it
+ *      describes in the requested output form or the cell unchanged if it
+ *      does not match any of the formats. Unless strict is true, the formats
+ *      are tried exactly before any is tried leniently.
+**/
+exports.createDateInterpreter = function (dates)
+{
+    var options = dates;
+    if (dates instanceof Array || typeof dates === 'string')
+        options = {formats: dates};
+
+    var formats = options.formats instanceof Array ? options.formats :
+        [options.formats];
+    var strict = options.strict === true;
+
+    var output = options.output === undefined ? 'iso' : options.output;
+    var createOutput = dateOutputs[output];
+    if (typeof output === 'object') {
+        createOutput = function (date) {
+            return date.format(output.format);
+        };
     }
-    onSuccess(retVal);
+
+    return function (cell) {
+        if (strict && !(cell instanceof String || typeof cell === 'string'))
+            return cell;
+
+        // Lenient parsing accepts almost anything so only fall back to it
+        // once no format matches exactly.
+        var numFormats = formats.length;
+        var numPasses = strict ? 1 : 2;
+        for (var pass=0; pass<numPasses; pass++) {
+            for (var i=0; i<numFormats; i++) {
+                var newDate = moment(cell, formats[i], pass == 0);
+                if (newDate.isValid())
+                    return createOutput(newDate);
+            }
+        }
+        return cell;
+    };
+};
+
+
+/**
+ * Escape text so that it matches itself in a regular expression.
+ *
+ * @param {String} text The text to escape.
+ * @return {String} The escaped text.
+**/
+function escapeRegExp(text)
+{
+    return text.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
 }
 
 
 /**
- * Interpet string serialized versions of dates, boolean values, and numbers.
+ * Find the decimal and grouping separators used by a locale.
  *
- * Convert string serializations of dates, boolean values, and numbers to
- * ISO 8601 standard strings, boolean primitive type values, and number
- * primitive type values respectively.
+ * @param {String} locale The BCP 47 locale like 'en-US' or 'de' or undefined
+ *      to use '.' and ','. The machine's locale is never used so that results
+ *      do not depend on where refine runs.
+ * @return {Object} Object with decimal and group String attributes.
+**/
+function findLocaleSeparators(locale)
+{
+    var separators = {decimal: '.', group: ','};
+    if (locale === undefined)
+        return separators;
+
+    var parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+    parts.forEach(function (part) {
+        if (part.type === 'decimal' || part.type === 'group')
+            separators[part.type] = part.value;
+    });
+    return separators;
+}
+
+
+/**
+ * Create a function that interprets a String as a Number.
  *
- * @param {Array} targetRows The Array of Array of Object to convert values in.
- *      In other words, the dataset (table, 2D Array) to operate on. This value
- *      will remain unchanged.
- * @param {Array} params An Object with optional attributes dates, bools, and
- *      numbers. If the dates, bools, and / or numbers attribute(s) is not
- *      present that type will not be interpreted. The dates attribute should
- *      have a string value containing a format string for use in interpreting
- *      date strings through the moment library. The bools attribute should have
- *      an object with attributes trueVal and falseVal, the string values to
- *      convert to true and false respectively. Finally, the numbers attribute
- *      should be true.
+ * @param {Object} numbers The numbers option given to interpretStr with
+ *      optional locale, decimal, group, currency, percent, accounting, and
+ *      leadingZeros attributes.
+ * @return {function} Function taking a cell and returning the Number it
+ *      describes or the cell unchanged if it is not a number.
+**/
+exports.createNumberInterpreter = function (numbers)
+{
+    var separators = findLocaleSeparators(numbers.locale);
+    var decimal = numbers.decimal === undefined ? separators.decimal :
+        numbers.decimal;
+    var group = numbers.group === undefined ? separators.group :
+        numbers.group;
+
+    // Locales like fr group with (non-breaking) spaces so accept any space.
+    var groupPattern = /^\s$/.test(group) ? '\\s' : escapeRegExp(group);
+    var numberRegex = new RegExp(
+        '^([+-]?)(\\d{1,3}(?:' + groupPattern + '\\d{3})+|\\d*)' +
+        '(?:' + escapeRegExp(decimal) + '(\\d+))?(?:[eE]([+-]?\\d+))?$'
+    );
+
+    var stripCurrency = function (text) { return text; };
+    if (numbers.currency instanceof Array) {
+        stripCurrency = function (text) {
+            numbers.currency.forEach(function (symbol) {
+                text = text.split(symbol).join('');
+            });
+            return text;
+        };
+    } else if (numbers.currency) {
+        stripCurrency = function (text) {
+            return text.replace(/\p{Sc}/gu, '');
+        };
+    }
+
+    return function (cell) {
+        if (!(cell instanceof String || typeof cell === 'string'))
+            return cell;
+
+        var text = String(cell).trim();
+        var sign = 1;
+        var accountingMatch = /^\((.*)\)$/.exec(text);
+        if (numbers.accounting && accountingMatch !== null) {
+            sign = -1;
+            text = accountingMatch[1].trim();
+        }
+
+        text = stripCurrency(text).trim();
+
+        var scale = 1;
+        if (numbers.percent && text.charAt(text.length - 1) === '%') {
+            scale = 100;
+            text = text.substr(0, text.length - 1).trim();
+        }
+
+        var match = numberRegex.exec(text);
+        if (match === null)
+            return cell;
+
+        var intDigits = match[2].replace(/\D/g, '');
+        var fracDigits = match[3] === undefined ? '' : match[3];
+        if (intDigits === '' && fracDigits === '')
+            return cell;
+        if (match[1] !== '' && sign < 0)
+            return cell;
+        if (numbers.leadingZeros === 'keep' && /^0\d/.test(intDigits))
+            return cell;
+
+        var numStr = match[1] + (intDigits === '' ? '0' : intDigits);
+        if (fracDigits !== '')
+            numStr += '.' + fracDigits;
+        if (match[4] !== undefined)
+            numStr += 'e' + match[4];
+        return sign * Number(numStr) / scale;
+    };
+};
+
+
+/**
+ * Create a function that interprets a String as a boolean value.
+ *
+ * @param {Object} bools The bools option given to interpretStr with trueVal
+ *      and falseVal attributes (each a value or Array of values) and optional
+ *      ignoreCase, trim, and unmatched attributes.
+ * @return {function} Function taking a cell, its row index, and its column
+ *      index and returning true or false if the cell matches one of the true
+ *      or false values and the cell (or null, if unmatched is 'null')
+ *      otherwise.
+ * @throws The returned function raises an Error for cells matching neither
+ *      if unmatched is 'error'.
+**/
+exports.createBoolInterpreter = function (bools)
+{
+    var prepareText = function (text) {
+        if (bools.trim)
+            text = text.trim();
+        if (bools.ignoreCase)
+            text = text.toLowerCase();
+        return text;
+    };
+
+    var prepareVals = function (vals) {
+        vals = vals instanceof Array ? vals : [vals];
+        var texts = vals.filter(function (val) {
+            return val instanceof String || typeof val === 'string';
+        }).map(function (val) { return prepareText(String(val)); });
+        return {vals: vals, texts: texts};
+    };
+
+    var falseVals = prepareVals(bools.falseVal);
+    var trueVals = prepareVals(bools.trueVal);
+
+    var matches = function (cell, candidates) {
+        if (candidates.vals.indexOf(cell) != -1)
+            return true;
+        if (!(cell instanceof String || typeof cell === 'string'))
+            return false;
+        return candidates.texts.indexOf(prepareText(String(cell))) != -1;
+    };
+
+    return function (cell, rowIndex, colIndex) {
+        if (matches(cell, falseVals))
+            return false;
+        else if (matches(cell, trueVals))
+            return true;
+
+        var isMissing = cell === undefined || cell === null || cell === '';
+        if (isMissing || typeof cell === 'boolean')
+            return cell;
+
+        if (bools.unmatched === 'error') {
+            throw new Error(
+                'Could not interpret ' + JSON.stringify(cell) + ' at row ' +
+                rowIndex + ', column ' + colIndex + ' as a boolean.'
+            );
+        }
+        return bools.unmatched === 'null' ? null : cell;
+    };
+};
+
+
+/**
+ * Limit a function changing a cell to cells in an option's row / col scope.
+ *
+ * @param {Object} option The option the function implements. If an Object,
+ *      its optional row (row index(ices)) and col (column index(ices) or
+ *      name(s)) attributes limit which cells are changed.
+ * @param {Array} header Array of column names or null if the dataset does not
+ *      have a header row.
+ * @param {function} changeValue Function taking a cell, its row index, and
+ *      its column index and returning its new value.
+ * @return {function} Function taking a cell, its row index, and its column
+ *      index and returning the new value of the cell (the cell unchanged if
+ *      outside of the option's scope).
+**/
+function createScopedFunc(option, header, changeValue)
+{
+    var isObject = option !== null && typeof option === 'object' &&
+        !(option instanceof Array);
+    var rows = refine_util.prepareListOfIndices(
+        isObject ? option.row : undefined
+    );
+    var cols = refine_util.prepareListOfIndices(
+        isObject ? option.col : undefined,
+        header
+    );
+
+    return function (cell, rowIndex, colIndex) {
+        if (rows !== refine_util.ANY_OPT && rows.indexOf(rowIndex) == -1)
+            return cell;
+        if (cols !== refine_util.ANY_OPT && cols.indexOf(colIndex) == -1)
+            return cell;
+        return changeValue(cell, rowIndex, colIndex);
+    };
+}
+
+
+/**
+ * Create a function that interprets the strings in a single row.
+ *
+ * @param {Object} params The interpretation options as passed to interpretStr.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+ * @return {function} Function that takes a row (Array) and row index (Number)
+ *      and returns a modified copy of that row.
 **/
-exports.interpretStr = function (targetRows, params, onSuccess, onError)
+exports.createInterpreter = function (params, context)
 {
+    var header = context ? context.header : null;
+    var tracker = change_tracker.fromContext(context);
+
     var interpretFuncs = [];
+    var interpretNames = [];
 
     // Add function to parse dates if date options are specified.
     if (params.dates !== undefined) {
-        interpretFuncs.push(function (cell, rowIndex, colIndex) {
-            var newDate = moment(cell, params.dates);
-            if (newDate.isValid())
-                return newDate.toISOString();
-            else
-                return cell;
-        });
+        interpretFuncs.push(createScopedFunc(
+            params.dates,
+            header,
+            exports.createDateInterpreter(params.dates)
+        ));
+        interpretNames.push('dates');
     }
 
     // Add function to parse boolean values if boolean options are specified.
     if (params.bools) {
-        interpretFuncs.push(function (cell) {
-            if(cell === params.bools.falseVal)
-                return false;
-            else if(cell === params.bools.trueVal)
-                return true;
-            else
-                return cell;
-        });
+        interpretFuncs.push(createScopedFunc(
+            params.bools,
+            header,
+            exports.createBoolInterpreter(params.bools)
+        ));
+        interpretNames.push('bools');
     }
 
     // Add function to parse numbers if number parsing options are specified.
-    if (params.numbers) {
+    if (params.numbers === true) {
         interpretFuncs.push(function (cell) {
             var possibleInt = parseInt(cell);
             if(possibleInt.toString() === cell)
@@ -140,45 +542,227 @@ exports.interpretStr = function (targetRows, params, onSuccess, onError)
 
             return cell;
         });
+        interpretNames.push('numbers');
+    } else if (params.numbers) {
+        interpretFuncs.push(createScopedFunc(
+            params.numbers,
+            header,
+            exports.createNumberInterpreter(params.numbers)
+        ));
+        interpretNames.push('numbers');
     }
 
     // Combine all interpret functions into a single high-level interpret
-    // function.
-    var interpretValue = function (value) {
+    // function, reporting which kind of interpretation changed each value.
+    var interpretValue = function (value, rowIndex, colIndex) {
         var numInterpretFuncs = interpretFuncs.length;
         for(var i=0; i<numInterpretFuncs; i++) {
-            value = interpretFuncs[i](value);
+            var newValue = interpretFuncs[i](value, rowIndex, colIndex);
+            if(newValue !== value) {
+                tracker.changeCell(
+                    rowIndex,
+                    colIndex,
+                    value,
+                    newValue,
+                    interpretNames[i]
+                );
+            }
+            value = newValue;
         }
         return value;
     };
 
-    // Parse user options for which rows and columns to operate on.
-    var rows = refine_util.prepareListOfIndices(params.row);
-    var cols = refine_util.prepareListOfIndices(params.col);
+    return createScopedRowFunc(params, header, interpretValue);
+};
+
+
+/**
+ * Interpet string serialized versions of dates, boolean values, and numbers.
+ *
+ * Convert string serializations of dates, boolean values, and numbers to
+ * ISO 8601 standard strings, boolean primitive type values, and number
+ * primitive type values respectively.
+ *
+ * @param {Array} targetRows The Array of Array of Object to convert values in.
+ *      In other words, the dataset (table, 2D Array) to operate on. This value
+ *      will remain unchanged.
+ * @param {Array} params An Object with optional attributes dates, bools, and
+ *      numbers. If the dates, bools, and / or numbers attribute(s) is not
+ *      present that type will not be interpreted. The dates attribute should
+ *      have a moment format String, an Array of them tried in order, or an
+ *      Object with a formats attribute (String or Array) and optional strict
+ *      (true to only accept Strings exactly matching a format), output ('iso'
+ *      String by default, 'millis' since the epoch, 'date' for a Date, or an
+ *      Object with a moment format attribute for a custom String), row, and
+ *      col (limiting which cells dates are found in) attributes. The bools
+ *      attribute should have an object with attributes trueVal and falseVal,
+ *      the values (or Arrays of values) to convert to true and false
+ *      respectively, and optional ignoreCase (true to compare Strings without
+ *      case), trim (true to ignore surrounding whitespace), unmatched ('keep'
+ *      by default, 'null' to turn other non-empty, non-boolean cells into
+ *      null, or 'error' to report an error for them), row, and col
+ *      attributes. Finally,
+ *      the numbers attribute should be true to convert Strings that are
+ *      exactly a Number written by JavaScript or an Object with optional
+ *      locale (whose decimal and grouping separators are used), decimal and
+ *      group (separators overriding those of the locale, '.' and ',' by
+ *      default), currency (true to ignore currency symbols or an Array of
+ *      Strings to ignore), percent (true to read "45%" as 0.45), accounting
+ *      (true to read "(300)" as -300), leadingZeros ('parse' by default or
+ *      'keep' to leave zero padded Strings like "007" alone), row, and col
+ *      attributes. The optional col attribute may name columns if the
+ *      dataset has a header row.
+ * @param {function} onSuccess The function to call with the modified copy of
+ *      the dataset.
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single String parameter describing the error.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.interpretStr = function (targetRows, params, onSuccess, onError,
+    context)
+{
+    var interpretRow = exports.createInterpreter(params, context);
 
     // Run the interpret function on all cells in table (elements in Array).
     var retVal = [];
 
     var numRows = targetRows.length;
     for (var rowIndex=0; rowIndex<numRows; rowIndex++) {
-        var targetRow = targetRows[rowIndex];
-        if (rows === refine_util.ANY_OPT || rows.indexOf(rowIndex) != -1) {
-            var newRow = [];
-            var numCols = targetRow.length;
-            for (var colIndex=0; colIndex<numCols; colIndex++) {
-                var targetVal = targetRow[colIndex];
-                if (cols===refine_util.ANY_OPT || cols.indexOf(colIndex)!=-1) {
-                    targetVal = interpretValue(targetVal);
-                    newRow.push(targetVal);
-                } else {
-                    newRow.push(targetVal);
-                }
-            }
-            retVal.push(newRow);
-        } else {
-            retVal.push(targetRow.slice());
-        }
+        retVal.push(interpretRow(targetRows[rowIndex], rowIndex));
     }
 
     onSuccess(retVal);
-}
\ No newline at end of file
+}
+
+
+// Functions making each kind of text normalization on a String, in the order
+// they are applied.
+var normalizers = [
+    {
+        name: 'stripNonPrintable',
+        normalize: function (text) {
+            return text.replace(/[^\P{C}\t\n\r]/gu, '');
+        }
+    },
+    {
+        name: 'stripDiacritics',
+        normalize: function (text) {
+            return text.normalize('NFD').replace(/\p{Mn}/gu, '')
+                .normalize('NFC');
+        }
+    },
+    {
+        name: 'stripPunctuation',
+        normalize: function (text) {
+            return text.replace(/\p{P}/gu, '');
+        }
+    },
+    {
+        name: 'collapseWhitespace',
+        normalize: function (text) {
+            return text.replace(/\s+/g, ' ');
+        }
+    },
+    {
+        name: 'trim',
+        normalize: function (text) {
+            return text.trim();
+        }
+    }
+];
+
+// Functions changing the case of a String for each case option.
+var caseChangers = {
+    upper: function (text) {
+        return text.toUpperCase();
+    },
+    lower: function (text) {
+        return text.toLowerCase();
+    },
+    title: function (text) {
+        var upperFirst = function (match, space, letter) {
+            return space + letter.toUpperCase();
+        };
+        return text.toLowerCase().replace(/(^|\s)(\S)/g, upperFirst);
+    }
+};
+
+
+/**
+ * Create a function that normalizes the text in a single row.
+ *
+ * @param {Object} params The normalization options as passed to
+ *      normalizeText.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+ * @return {function} Function that takes a row (Array) and row index (Number)
+ *      and returns a modified copy of that row.
+**/
+exports.createNormalizer = function (params, context)
+{
+    var header = context ? context.header : null;
+    var tracker = change_tracker.fromContext(context);
+
+    var steps = normalizers.filter(function (normalizer) {
+        return params[normalizer.name];
+    });
+    if (params.case !== undefined)
+        steps.push({name: 'case', normalize: caseChangers[params.case]});
+
+    var normalizeValue = function (value, rowIndex, colIndex) {
+        if (!(value instanceof String || typeof value === 'string'))
+            return value;
+
+        var numSteps = steps.length;
+        for (var i=0; i<numSteps; i++) {
+            var newValue = steps[i].normalize(String(value));
+            if (newValue !== value) {
+                tracker.changeCell(
+                    rowIndex,
+                    colIndex,
+                    value,
+                    newValue,
+                    steps[i].name
+                );
+            }
+            value = newValue;
+        }
+        return value;
+    };
+
+    return createScopedRowFunc(params, header, normalizeValue);
+};
+
+
+/**
+ * Clean up the formatting of text so that equivalent values match.
+ *
+ * Normalize String cells so that values differing only in formatting (like
+ * " Y" and "y") become the same. Non-String cells are left unchanged. The
+ * selected normalizations run in a fixed order: stripNonPrintable,
+ * stripDiacritics, stripPunctuation, collapseWhitespace, trim, and case.
+ *
+ * @param {Array} targetRows The Array of Array of Object to normalize values
+ *      in. This value will remain unchanged.
+ * @param {Object} params An Object with optional attributes. trim,
+ *      collapseWhitespace (replace each run of whitespace with a single
+ *      space), stripPunctuation (remove Unicode punctuation), stripNonPrintable
+ *      (remove control and format characters other than tabs and line breaks),
+ *      and stripDiacritics (remove accents, so "é" becomes "e") should be true
+ *      to apply that normalization. case may be 'upper', 'lower', or 'title'
+ *      (lower case with the first letter of each word upper case). The row and
+ *      col attributes limit which cells are normalized like in interpretStr.
+ * @param {function} onSuccess The function to call with the modified copy of
+ *      the dataset.
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single String parameter describing the error.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.normalizeText = function (targetRows, params, onSuccess, onError,
+    context)
+{
+    var normalizeRow = exports.createNormalizer(params, context);
+    onSuccess(targetRows.map(normalizeRow));
+};
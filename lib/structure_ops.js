@@ -6,25 +6,20 @@
 **/
 
 
+var aggregators = require('./aggregators');
+var change_tracker = require('./change_tracker');
 var refine_util = require('./refine_util');
 
 
 /**
- * Transpose a 2D array.
- *
- * Switch the rows and columns in a given dataset (2D Array, table, Array of
- * Array). Leaves the original dataset untouched and returns a modified copy.
+ * Switch the rows and columns of a 2D array.
  *
- * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
- *      operate on. A copy of this dataset will be created and modified but this
- *      original dataset will be left untouched.
- * @param {function} onSuccess The function to call after the transposition of a
- *      copy of the original dataset is complete. Should take a single
- *      parameter: an Array of Array that is the modified dataset.
- * @param {function} onError The function to call if an error is encountered.
- *      Should take a single string parameter describing the error encountered.
+ * @param {Array} targetRows The Array of Array to transpose. This dataset will
+ *      not be modified.
+ * @return {Array} New Array of Array where the nth row is the nth column of
+ *      the provided dataset.
 **/
-exports.transpose = function (targetRows, params, onSuccess, onError)
+function transposeRows(targetRows)
 {
     var numCols = refine_util.findMaxNumCols(targetRows);
     var retVal = [];
@@ -41,6 +36,322 @@ exports.transpose = function (targetRows, params, onSuccess, onError)
             retVal[colIndex].push(targetRow[colIndex]);
         }
     }
-    
-    onSuccess(retVal);
+
+    return retVal;
+}
+
+
+/**
+ * Transpose a 2D array.
+ *
+ * Switch the rows and columns in a given dataset (2D Array, table, Array of
+ * Array). Leaves the original dataset untouched and returns a modified copy.
+ * If the dataset has a header row, the header is transposed along with the
+ * dataset such that the old column names become the first column and the
+ * first row of the transposed dataset becomes the new header row.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. A copy of this dataset will be created and modified but this
+ *      original dataset will be left untouched.
+ * @param {function} onSuccess The function to call after the transposition of a
+ *      copy of the original dataset is complete. Should take the modified
+ *      dataset and the new header row (null if there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.transpose = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    change_tracker.fromContext(context).transpose(header !== null);
+
+    if (!header) {
+        onSuccess(transposeRows(targetRows), null);
+        return;
+    }
+
+    var retVal = transposeRows([header].concat(targetRows));
+    onSuccess(retVal.slice(1), retVal[0]);
 }
+
+
+/**
+ * Group rows by key columns and summarize each group in a single row.
+ *
+ * Group rows by the values in a set of key columns and create a new dataset
+ * with one row per group (in the order each group first appears) whose
+ * columns are the key columns followed by one column per aggregation (see
+ * aggregators.aggregate).
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with an optional by attribute (column index
+ *      or name or Array of them to group by, all rows form one group if not
+ *      given) and an aggs attribute (Array of Object aggregations). Each
+ *      aggregation has an op attribute (name of the aggregator), a col
+ *      attribute (column index or name to summarize, optional for count), an
+ *      optional name attribute (name of the new column in the header row,
+ *      defaults to the column name and op joined by an underscore), and any
+ *      settings used by the aggregator (like separator for join).
+ * @param {function} onSuccess The function to call after the rows are
+ *      grouped. Should take the new dataset and the new header row (null if
+ *      there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.aggregate = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var keyIndices = refine_util.prepareListOfIndices(params.by, header);
+    if (keyIndices === refine_util.ANY_OPT)
+        keyIndices = [];
+    var missingCol = params.aggs.filter(function (agg) {
+        return agg.col === undefined && agg.op !== 'count';
+    });
+    if (missingCol.length > 0) {
+        onError('The ' + missingCol[0].op + ' aggregator needs a col.');
+        return;
+    }
+
+    var aggColIndices = params.aggs.map(function (agg) {
+        if (agg.col === undefined)
+            return null;
+        return refine_util.resolveColIndex(agg.col, header);
+    });
+
+    // Collect the rows of each group in the order groups first appear.
+    var getKey = refine_util.createRowKeyFunc(keyIndices);
+    var groups = {};
+    var groupOrder = [];
+    targetRows.forEach(function (row) {
+        var key = getKey(row);
+        if (!groups.hasOwnProperty(key)) {
+            groups[key] = [];
+            groupOrder.push(key);
+        }
+        groups[key].push(row);
+    });
+
+    var newTargetRows = groupOrder.map(function (key) {
+        var groupRows = groups[key];
+        var keyCells = keyIndices.map(function (colIndex) {
+            var cell = groupRows[0][colIndex];
+            return cell === undefined ? null : cell;
+        });
+        var aggCells = params.aggs.map(function (agg, aggIndex) {
+            var colIndex = aggColIndices[aggIndex];
+            var cells = groupRows.map(function (row) {
+                return colIndex === null ? row : row[colIndex];
+            });
+            return aggregators.aggregate(agg.op, cells, agg);
+        });
+        return keyCells.concat(aggCells);
+    });
+
+    var tracker = change_tracker.fromContext(context);
+    tracker.keepRows(newTargetRows.map(function () { return null; }));
+    tracker.keepCols(keyIndices.concat(params.aggs.map(function () {
+        return null;
+    })));
+
+    var newHeader = null;
+    if (header) {
+        newHeader = keyIndices.map(function (colIndex) {
+            return header[colIndex];
+        }).concat(params.aggs.map(function (agg, aggIndex) {
+            if (agg.name !== undefined)
+                return agg.name;
+            var colIndex = aggColIndices[aggIndex];
+            return colIndex === null ? agg.op : header[colIndex] + '_' + agg.op;
+        }));
+    }
+
+    onSuccess(newTargetRows, newHeader);
+};
+
+
+/**
+ * Turn long data (id, variable, value) into a wide table.
+ *
+ * Create a new dataset with one row per distinct combination of the index
+ * columns and one column per distinct value of the columns column (in the
+ * order each first appears) after the index columns. Each new cell summarizes
+ * (see aggregators.aggregate) the values of the rows with that index and
+ * variable.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with an index attribute (column index or
+ *      name, or Array of them, identifying each new row), a columns attribute
+ *      (column index or name with the names of the new columns), a values
+ *      attribute (column index or name with the values of the new cells), an
+ *      optional agg attribute (aggregator for rows with the same index and
+ *      variable, defaults to first), an optional separator attribute (for the
+ *      join aggregator), and an optional fill attribute (value for index and
+ *      variable combinations with no rows, defaults to null).
+ * @param {function} onSuccess The function to call after the dataset is
+ *      reshaped. Should take the new dataset and the new header row (null if
+ *      there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.pivot = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var indexCols = refine_util.prepareListOfIndices(params.index, header);
+    var variableCol = refine_util.resolveColIndex(params.columns, header);
+    var valueCol = refine_util.resolveColIndex(params.values, header);
+    var agg = {
+        op: params.agg === undefined ? 'first' : params.agg,
+        col: params.values,
+        separator: params.separator
+    };
+    var fill = params.fill === undefined ? null : params.fill;
+
+    var getIndexKey = refine_util.createRowKeyFunc(indexCols);
+    var getVariableKey = refine_util.createRowKeyFunc([variableCol]);
+
+    // Collect the values for each index (row) and variable (column).
+    var rowKeys = [];
+    var rowsByKey = {};
+    var variableKeys = [];
+    var variables = {};
+    targetRows.forEach(function (row) {
+        var rowKey = getIndexKey(row);
+        if (!rowsByKey.hasOwnProperty(rowKey)) {
+            rowKeys.push(rowKey);
+            rowsByKey[rowKey] = {
+                indexCells: indexCols.map(function (colIndex) {
+                    var cell = row[colIndex];
+                    return cell === undefined ? null : cell;
+                }),
+                values: {}
+            };
+        }
+
+        var variableKey = getVariableKey(row);
+        if (!variables.hasOwnProperty(variableKey)) {
+            variableKeys.push(variableKey);
+            variables[variableKey] = row[variableCol];
+        }
+
+        var values = rowsByKey[rowKey].values;
+        if (!values.hasOwnProperty(variableKey))
+            values[variableKey] = [];
+        values[variableKey].push(row[valueCol]);
+    });
+
+    var newTargetRows = rowKeys.map(function (rowKey) {
+        var entry = rowsByKey[rowKey];
+        return entry.indexCells.concat(variableKeys.map(function (key) {
+            if (!entry.values.hasOwnProperty(key))
+                return fill;
+            return aggregators.aggregate(agg.op, entry.values[key], agg);
+        }));
+    });
+
+    var tracker = change_tracker.fromContext(context);
+    tracker.keepRows(newTargetRows.map(function () { return null; }));
+    tracker.keepCols(indexCols.concat(variableKeys.map(function () {
+        return null;
+    })));
+
+    var newHeader = null;
+    if (header) {
+        newHeader = indexCols.map(function (colIndex) {
+            return header[colIndex];
+        }).concat(variableKeys.map(function (key) {
+            var variable = variables[key];
+            return variable === undefined || variable === null ? '' :
+                String(variable);
+        }));
+    }
+
+    onSuccess(newTargetRows, newHeader);
+};
+
+
+/**
+ * Turn wide columns into long rows (also known as melt).
+ *
+ * Create a new dataset with one row for each cell in the unpivoted columns of
+ * each row. Each new row has the id columns of the row it came from followed
+ * by the name of the unpivoted column (or its index without a header row) and
+ * the cell's value.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with an optional id attribute (column index
+ *      or name, or Array of them, to repeat on each new row), an optional cols
+ *      attribute (column index or name, or Array of them, to unpivot, defaults
+ *      to every column not in id), optional varName and valueName attributes
+ *      (names of the new columns in the header row, defaulting to variable and
+ *      value), and an optional dropEmpty attribute (if true, no rows are
+ *      created for empty, null, or missing cells).
+ * @param {function} onSuccess The function to call after the dataset is
+ *      reshaped. Should take the new dataset and the new header row (null if
+ *      there is no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a single string parameter describing the error encountered.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null.
+**/
+exports.unpivot = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var idCols = refine_util.prepareListOfIndices(params.id, header);
+    if (idCols === refine_util.ANY_OPT)
+        idCols = [];
+
+    var meltCols = refine_util.prepareListOfIndices(params.cols, header);
+    if (meltCols === refine_util.ANY_OPT) {
+        meltCols = [];
+        var numCols = refine_util.findNumCols(targetRows, header);
+        for (var i=0; i<numCols; i++) {
+            if (idCols.indexOf(i) == -1)
+                meltCols.push(i);
+        }
+    }
+
+    var variables = meltCols.map(function (colIndex) {
+        return header ? header[colIndex] : colIndex;
+    });
+
+    var newTargetRows = [];
+    targetRows.forEach(function (row) {
+        var idCells = idCols.map(function (colIndex) {
+            var cell = row[colIndex];
+            return cell === undefined ? null : cell;
+        });
+
+        meltCols.forEach(function (colIndex, i) {
+            var cell = row[colIndex];
+            var isEmpty = cell === undefined || cell === null || cell === '';
+            if (params.dropEmpty && isEmpty)
+                return;
+            var value = cell === undefined ? null : cell;
+            newTargetRows.push(idCells.concat([variables[i], value]));
+        });
+    });
+
+    var tracker = change_tracker.fromContext(context);
+    tracker.keepRows(newTargetRows.map(function () { return null; }));
+    tracker.keepCols(idCols.concat([null, null]));
+
+    var newHeader = null;
+    if (header) {
+        newHeader = idCols.map(function (colIndex) {
+            return header[colIndex];
+        }).concat([
+            params.varName === undefined ? 'variable' : params.varName,
+            params.valueName === undefined ? 'value' : params.valueName
+        ]);
+    }
+
+    onSuccess(newTargetRows, newHeader);
+};
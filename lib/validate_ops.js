@@ -0,0 +1,376 @@
+/**
+ * Logic for checking that a dataset meets a set of constraints.
+ *
+ * @author Sam Pottinger (samnsparky, http://gleap.org)
+ * @license MIT
+**/
+
+var moment = require('moment');
+
+var change_tracker = require('./change_tracker');
+var refine_util = require('./refine_util');
+
+// Maximum number of violations described in an error message.
+var MAX_DESCRIBED = 5;
+
+
+/**
+ * Determine if a cell is empty.
+ *
+ * @param {Object} cell The cell to check.
+ * @return {boolean} True if the cell is undefined, null, or an empty String.
+**/
+function isEmpty(cell)
+{
+    return cell === undefined || cell === null || cell === '';
+}
+
+
+/**
+ * Find the numeric value of a cell.
+ *
+ * @param {Object} cell The cell to convert.
+ * @return {Number} The cell as a Number if it is a Number or numeric text and
+ *      null otherwise.
+**/
+function findNumber(cell)
+{
+    if (typeof cell === 'number')
+        return isNaN(cell) ? null : cell;
+    if (!(cell instanceof String || typeof cell === 'string'))
+        return null;
+    if (cell.trim() === '')
+        return null;
+    var num = Number(cell);
+    return isNaN(num) ? null : num;
+}
+
+
+/**
+ * Find the date described by a cell.
+ *
+ * @param {Object} cell The cell to convert.
+ * @param {String} format The moment format date Strings must match or
+ *      undefined to accept ISO 8601 Strings.
+ * @return {moment} The date or null if the cell is not a Date or a String
+ *      matching the format.
+**/
+function findDate(cell, format)
+{
+    var date = null;
+    if (cell instanceof Date)
+        date = moment(cell);
+    else if (cell instanceof String || typeof cell === 'string')
+        date = moment(String(cell), format || moment.ISO_8601, true);
+    return date !== null && date.isValid() ? date : null;
+}
+
+
+// Functions taking a cell and a constraint and returning true if the cell is
+// of the constraint's type.
+var typeCheckers = {
+    string: function (cell) {
+        return cell instanceof String || typeof cell === 'string';
+    },
+    number: function (cell) {
+        return findNumber(cell) !== null;
+    },
+    integer: function (cell) {
+        var num = findNumber(cell);
+        return num !== null && num % 1 === 0;
+    },
+    bool: function (cell) {
+        return typeof cell === 'boolean';
+    },
+    date: function (cell, constraint) {
+        return findDate(cell, constraint.format) !== null;
+    }
+};
+
+
+/**
+ * Create a function that compares a cell against a constraint's min or max.
+ *
+ * @param {Object} constraint The constraint with a type attribute and the min
+ *      or max attribute.
+ * @param {Object} limit The min or max value. Date limits may be Dates or
+ *      Strings in the constraint's format or ISO 8601.
+ * @param {Number} sign -1 to check that cells are not below the limit or 1 to
+ *      check that cells are not above it.
+ * @return {function} Function taking a cell and returning true if the cell is
+ *      within the limit. Dates are compared for the date type and Numbers
+ *      otherwise. Cells that cannot be compared are within the limit (the type
+ *      constraint reports them).
+ * @throws Raises an Error if a date limit is not a valid date.
+**/
+function createLimitChecker(constraint, limit, sign)
+{
+    var toValue = findNumber;
+    var limitValue = limit;
+    if (constraint.type === 'date') {
+        toValue = function (cell) {
+            var date = findDate(cell, constraint.format);
+            return date === null ? null : date.valueOf();
+        };
+        var limitDate = findDate(limit, constraint.format) || findDate(limit);
+        if (limitDate === null)
+            throw new Error('Invalid date limit: ' + limit);
+        limitValue = limitDate.valueOf();
+    }
+
+    return function (cell) {
+        var value = toValue(cell);
+        if (value === null)
+            return true;
+        return sign < 0 ? value >= limitValue : value <= limitValue;
+    };
+}
+
+
+/**
+ * Create a function that finds the rules a cell breaks for a constraint.
+ *
+ * @param {Object} constraint The constraint (see validate).
+ * @return {function} Function taking a cell and returning an Array of the
+ *      names of the rules (required, type, min, max, regex, or enum) the cell
+ *      breaks. Uniqueness is checked separately.
+**/
+function createCellChecker(constraint)
+{
+    var checks = [];
+
+    if (constraint.type !== undefined) {
+        var typeChecker = typeCheckers[constraint.type];
+        checks.push({rule: 'type', check: function (cell) {
+            return typeChecker(cell, constraint);
+        }});
+    }
+
+    if (constraint.min !== undefined) {
+        checks.push({
+            rule: 'min',
+            check: createLimitChecker(constraint, constraint.min, -1)
+        });
+    }
+
+    if (constraint.max !== undefined) {
+        checks.push({
+            rule: 'max',
+            check: createLimitChecker(constraint, constraint.max, 1)
+        });
+    }
+
+    if (constraint.regex !== undefined) {
+        // A g flag would carry lastIndex over from the previous cell.
+        var flags = (constraint.flags || '').replace('g', '');
+        var regex = new RegExp(constraint.regex, flags);
+        checks.push({rule: 'regex', check: function (cell) {
+            return regex.test(String(cell));
+        }});
+    }
+
+    if (constraint.enum !== undefined) {
+        checks.push({rule: 'enum', check: function (cell) {
+            return constraint.enum.indexOf(cell) != -1;
+        }});
+    }
+
+    return function (cell) {
+        if (isEmpty(cell))
+            return constraint.required ? ['required'] : [];
+
+        var broken = [];
+        var typeBroken = false;
+        checks.forEach(function (check) {
+            var isLimit = check.rule === 'min' || check.rule === 'max';
+            if (isLimit && typeBroken)
+                return;
+            if (!check.check(cell)) {
+                broken.push(check.rule);
+                typeBroken = typeBroken || check.rule === 'type';
+            }
+        });
+        return broken;
+    };
+}
+
+
+/**
+ * Describe violations found by validate for an error message.
+ *
+ * @param {Array} violations The violations (see validate).
+ * @param {Array} header Array of column names or null.
+ * @return {String} Description of the violations.
+**/
+function describeViolations(violations, header)
+{
+    var descriptions = violations.slice(0, MAX_DESCRIBED).map(
+        function (violation) {
+            var col = violation.col;
+            if (header && header[col] !== undefined)
+                col = header[col];
+            return 'row ' + violation.row + ' col ' + col + ' (' +
+                JSON.stringify(violation.value === undefined ? null :
+                violation.value) + ') breaks ' + violation.rule + '.';
+        }
+    );
+
+    var numMore = violations.length - MAX_DESCRIBED;
+    if (numMore > 0)
+        descriptions.push('And ' + numMore + ' more.');
+
+    return 'Validation failed with ' + violations.length + ' violation' +
+        (violations.length == 1 ? '' : 's') + ': ' + descriptions.join(' ');
+}
+
+
+/**
+ * Check that the cells of a dataset meet per-column constraints.
+ *
+ * Check each column against constraints on its type, whether it is required,
+ * its range, a regular expression, a set of allowed values, and whether its
+ * values are unique. Violations are collected for every cell rather than
+ * stopping at the first. Empty (undefined, null, or empty String) cells only
+ * break the required rule. Depending on the action, the violations fail the
+ * recipe, the rows breaking a constraint are removed, or a column describing
+ * the violations in each row is added. Violations are also given to refine
+ * (see the context's reportViolations attribute) for its report.
+ *
+ * @param {Array} targetRows The Array of Array (2D Array, table, dataset) to
+ *      operate on. This original dataset will be left untouched.
+ * @param {Object} params Object with a constraints attribute (Array of Object
+ *      each with a col attribute, column index or name, and optional type
+ *      ('string', 'number' or 'integer' for Numbers and numeric text, 'bool',
+ *      or 'date' for Dates and Strings matching format, or ISO 8601 if no
+ *      format is given), format, required (true if cells may not be empty),
+ *      min and max (inclusive Numbers, or dates for the date type), regex
+ *      (with optional flags), enum (Array of allowed values), and unique (true
+ *      if non-empty cells may not repeat) attributes). The optional action
+ *      attribute is 'error' (the default) to report an error, 'drop' to
+ *      remove rows with violations, or 'annotate' to add a column (named name,
+ *      defaulting to 'violations', in the header row) describing each row's
+ *      violations like "Age: max; ID: unique" or '' for rows without any.
+ * @param {function} onSuccess The function to call with the (possibly
+ *      modified) copy of the dataset and the new header row (null if there is
+ *      no header row).
+ * @param {function} onError The function to call if an error is encountered.
+ *      Should take a String parameter describing the error and, for failed
+ *      validations, the Array of violations, each an Object with row (index),
+ *      col (index), value (the cell), and rule (the name of the rule broken:
+ *      required, type, min, max, regex, enum, or unique) attributes.
+ * @param {Object} context Information about the dataset being operated on.
+ *      The header attribute should be the Array of column names or null and
+ *      the optional reportViolations attribute should be a function taking
+ *      the Array of violations found.
+**/
+exports.validate = function (targetRows, params, onSuccess, onError, context)
+{
+    var header = context ? context.header : null;
+    var action = params.action === undefined ? 'error' : params.action;
+
+    var violations = [];
+    params.constraints.forEach(function (constraint) {
+        var colIndex = refine_util.resolveColIndex(constraint.col, header);
+        var checkCell = createCellChecker(constraint);
+        var getKey = refine_util.createRowKeyFunc([0]);
+        var seen = {};
+
+        targetRows.forEach(function (row, rowIndex) {
+            var cell = row[colIndex];
+            var broken = checkCell(cell);
+
+            if (constraint.unique && !isEmpty(cell)) {
+                var key = getKey([cell]);
+                if (seen.hasOwnProperty(key))
+                    broken.push('unique');
+                seen[key] = true;
+            }
+
+            broken.forEach(function (rule) {
+                violations.push({
+                    row: rowIndex,
+                    col: colIndex,
+                    value: cell,
+                    rule: rule
+                });
+            });
+        });
+    });
+
+    violations.sort(function (a, b) { return a.row - b.row || a.col - b.col; });
+
+    if (action === 'error' && violations.length > 0) {
+        onError(describeViolations(violations, header), violations);
+        return;
+    }
+
+    if (context && context.reportViolations)
+        context.reportViolations(violations);
+
+    var violationsByRow = {};
+    violations.forEach(function (violation) {
+        if (!violationsByRow.hasOwnProperty(violation.row))
+            violationsByRow[violation.row] = [];
+        violationsByRow[violation.row].push(violation);
+    });
+
+    var tracker = change_tracker.fromContext(context);
+
+    if (action === 'drop') {
+        var keptIndices = [];
+        targetRows.forEach(function (row, rowIndex) {
+            if (!violationsByRow.hasOwnProperty(rowIndex))
+                keptIndices.push(rowIndex);
+        });
+        tracker.keepRows(keptIndices);
+        onSuccess(keptIndices.map(function (rowIndex) {
+            return targetRows[rowIndex];
+        }));
+        return;
+    }
+
+    if (action === 'error') {
+        onSuccess(targetRows);
+        return;
+    }
+
+    // Add a column describing the violations in each row.
+    var numCols = refine_util.findNumCols(targetRows, header);
+    var padRow = function (row) {
+        var newRow = row.slice();
+        while (newRow.length < numCols)
+            newRow.push(null);
+        return newRow;
+    };
+
+    var colIndices = [];
+    for (var i=0; i<numCols; i++)
+        colIndices.push(i);
+    tracker.keepCols(colIndices.concat([null]));
+
+    var describeRow = function (rowIndex) {
+        if (!violationsByRow.hasOwnProperty(rowIndex))
+            return '';
+        return violationsByRow[rowIndex].map(function (violation) {
+            var col = violation.col;
+            if (header && header[col] !== undefined)
+                col = header[col];
+            return col + ': ' + violation.rule;
+        }).join('; ');
+    };
+
+    var newHeader = null;
+    if (header) {
+        var name = params.name === undefined ? 'violations' : params.name;
+        newHeader = padRow(header).concat([name]);
+    }
+
+    onSuccess(
+        targetRows.map(function (row, rowIndex) {
+            var newRow = padRow(row);
+            newRow.push(describeRow(rowIndex));
+            return newRow;
+        }),
+        newHeader
+    );
+};
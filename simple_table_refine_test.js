@@ -5,6 +5,7 @@
  * @license MIT
 **/
 
+var cli = require('./lib/cli');
 var simple_table_refine = require('./lib/simple_table_refine');
 
 
@@ -1181,6 +1182,272 @@ exports.testInterpretStrDate = function(test)
 };
 
 
+/**
+ * Test interpreting dates with several formats, strictly, in chosen columns.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrDateFormats = function(test)
+{
+    var testInput = [
+        ['Visit', 'Count', 'Note'],
+        ['01/02/2013', '12', '2013-01-03'],
+        ['2013-01-04', '3', '1/2/2013'],
+        ['Jan 2013', '4', 'x']
+    ];
+    var expectedOutput = [
+        ['Visit', 'Count', 'Note'],
+        [new Date(2013, 0, 2).getTime(), 12, '2013-01-03'],
+        [new Date(2013, 0, 4).getTime(), 3, '1/2/2013'],
+        ['Jan 2013', 4, 'x']
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {
+            dates: {
+                formats: ['MM/DD/YYYY', 'YYYY-MM-DD'],
+                strict: true,
+                output: 'millis',
+                col: 'Visit'
+            },
+            numbers: true,
+            col: ['Visit', 'Count']
+        }},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that lenient parsing tries every format exactly before any leniently.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrDateFormatsLenient = function(test)
+{
+    var testInput = [['01/02/2013', '2013-01-04', '12', 'x']];
+    var expectedOutput = [['2013-01-02', '2013-01-04', '2012-01-01', 'x']];
+
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {dates: {
+            formats: ['YYYY-MM-DD', 'MM/DD/YYYY'],
+            output: {format: 'YYYY-MM-DD'}
+        }}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test choosing Date objects or a custom format as the date output.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrDateOutput = function(test)
+{
+    var testInput = [['01/02/2013', '12']];
+
+    test.expect(3);
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {
+            dates: {formats: 'MM/DD/YYYY', output: 'date', strict: true}
+        }},
+        testInput,
+        function (actualOutput) {
+            test.ok(actualOutput[0][0] instanceof Date);
+            test.equal(
+                actualOutput[0][0].getTime(),
+                new Date(2013, 0, 2).getTime()
+            );
+
+            simple_table_refine.refine(
+                {operation: 'interpretStr', param: {dates: {
+                    formats: 'MM/DD/YYYY',
+                    strict: true,
+                    output: {format: 'YYYY-MM-DD'}
+                }}},
+                testInput,
+                function (actualOutput) {
+                    test.deepEqual(actualOutput, [['2013-01-02', '12']]);
+                    test.done();
+                }
+            );
+        }
+    );
+};
+
+
+/**
+ * Test interpreting numbers written with separators, symbols, and signs.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrNumberFormats = function(test)
+{
+    var testInput = [
+        ['1,234.50', '$12', '45%', '(300)', '1e3', '007', '12 USD', 'a1']
+    ];
+    var expectedOutput = [[1234.5, 12, 0.45, -300, 1000, '007', 12, 'a1']];
+
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {numbers: {
+            currency: ['USD', '$'],
+            percent: true,
+            accounting: true,
+            leadingZeros: 'keep'
+        }}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test interpreting numbers with the separators of a locale.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrNumberLocale = function(test)
+{
+    var testInput = [['1.234,50', '-0,5', '1,5.0', '007']];
+    var expectedOutput = [[1234.5, -0.5, '1,5.0', 7]];
+
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {numbers: {locale: 'de'}}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test that numbers use '.' and ',' without a locale whatever the default.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrNumberDefaultLocale = function(test)
+{
+    var testInput = [['1,234.5', '0.5']];
+    var expectedOutput = [[1234.5, 0.5]];
+
+    // Make the default locale German for the duration of the test.
+    var originalNumberFormat = Intl.NumberFormat;
+    Intl.NumberFormat = function (locale, options) {
+        return new originalNumberFormat(
+            locale === undefined ? 'de-DE' : locale,
+            options
+        );
+    };
+    var finish = function () {
+        Intl.NumberFormat = originalNumberFormat;
+        test.done();
+    };
+
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {numbers: {}}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            finish();
+        },
+        function (err) {
+            test.ok(false, err);
+            finish();
+        }
+    );
+};
+
+
+/**
+ * Test interpreting booleans from sets of values regardless of case.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrBoolSets = function(test)
+{
+    var testInput = [
+        ['Y', ' yes ', 'TRUE', '1', 'n', 'No', 'false', '0', 'maybe', '', 1]
+    ];
+    var bools = {
+        trueVal: ['y', 'yes', 'true', '1'],
+        falseVal: ['n', 'no', 'false', '0'],
+        ignoreCase: true,
+        trim: true
+    };
+
+    test.expect(3);
+    simple_table_refine.refine(
+        {operation: 'interpretStr', param: {bools: bools}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, [
+                [true, true, true, true, false, false, false, false, 'maybe',
+                    '', 1]
+            ]);
+
+            bools.unmatched = 'null';
+            simple_table_refine.refine(
+                {operation: 'interpretStr', param: {bools: bools}},
+                testInput,
+                function (actualOutput) {
+                    var unmatchedCells = actualOutput[0].slice(8);
+                    test.deepEqual(unmatchedCells, [null, '', null]);
+
+                    bools.unmatched = 'error';
+                    simple_table_refine.refine(
+                        {operation: 'interpretStr', param: {bools: bools}},
+                        testInput,
+                        function () {
+                            test.ok(false, 'Expected an error.');
+                            test.done();
+                        },
+                        function (err) {
+                            test.equal(
+                                err,
+                                'Could not interpret "maybe" at row 0, ' +
+                                    'column 8 as a boolean.'
+                            );
+                            test.done();
+                        }
+                    );
+                }
+            );
+        }
+    );
+};
+
+
 /**
  * Test interpeting string serailization of integer values.
  *
@@ -1406,3 +1673,2641 @@ exports.testManyOperationRefinement = function(test)
         }
     );
 };
+
+
+/**
+ * Test removing rows by testing for values in columns referred to by name.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreRowIfColName = function(test)
+{
+    var testInput = [
+        ['Name', 'Status'],
+        ['Bob', 'keep'],
+        ['Alice', 'drop'],
+        ['Carol', 'keep']
+    ];
+    var expectedOutput = [
+        ['Name', 'Status'],
+        ['Bob', 'keep'],
+        ['Carol', 'keep']
+    ];
+    var testOperation = {
+        operation: 'ignoreRowIf',
+        param: [{col: 'Status', val: 'drop'}]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that column names still resolve after columns have been removed.
+ *
+ * Test removing a column by name and then referring to a later column by name,
+ * ensuring that the header row is kept in line with the remaining columns.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testColNameAfterIgnoreColIf = function(test)
+{
+    var testInput = [
+        ['Notes', 'Price', 'Date'],
+        ['a', '1', 'N/A'],
+        ['b', 'N/A', '2']
+    ];
+    var expectedOutput = [
+        ['Price', 'Date'],
+        ['1', '0'],
+        ['N/A', '2']
+    ];
+    var testOperations = [
+        {operation: 'ignoreColIf', param: [{index: 'Notes'}]},
+        {operation: 'replace', param: [{orig: 'N/A', new: '0', col: 'Date'}]}
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that ignoreColIf reports column names missing from the header row.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreColIfUnknownName = function(test)
+{
+    simple_table_refine.refine(
+        {operation: 'ignoreColIf', param: [{index: 'Ntoes'}]},
+        [['Notes', 'Price'], ['a', '1']],
+        function () {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.equal(err, 'Unknown column name: Ntoes');
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that column names are reported as unknown without a header row.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testColNameWithoutHeader = function(test)
+{
+    var testInput = [['a', 'b'], ['1', '2']];
+    var testOperations = [
+        {operation: 'mergeCols', param: {cols: ['a', 'b']}},
+        {operation: 'splitCol', param: {col: 'a', delimiter: '-', into: 2}},
+        {operation: 'replace', param: [{orig: '1', new: 'x', col: 'a'}]},
+        {operation: 'sortRows', param: [{col: 'a'}]},
+        {operation: 'ignoreRowIf', param: [{col: 'a', val: '1'}]},
+        {operation: 'fillMissing', param: [{method: 'forward', col: 'a'}]},
+        {operation: 'aggregate', param: {by: 'a', aggs: [{op: 'count'}]}},
+        {operation: 'validate', param: {constraints: [{col: 'a'}]}}
+    ];
+
+    test.expect(testOperations.length);
+
+    var runNext = function (i) {
+        if (i == testOperations.length) {
+            test.done();
+            return;
+        }
+
+        simple_table_refine.refine(
+            testOperations[i],
+            testInput,
+            function () {
+                test.ok(false, testOperations[i].operation + ' succeeded.');
+                runNext(i + 1);
+            },
+            function (err) {
+                test.equal(err, 'Unknown column name: a');
+                runNext(i + 1);
+            }
+        );
+    };
+
+    runNext(0);
+};
+
+
+/**
+ * Test interpreting strings in a set of columns referred to by name.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInterpretStrColNames = function(test)
+{
+    var testInput = [
+        ['Id', 'Count', 'Total'],
+        ['1', '2', '3']
+    ];
+    var expectedOutput = [
+        ['Id', 'Count', 'Total'],
+        ['1', 2, 3]
+    ];
+    var testOperation = {
+        operation: 'interpretStr',
+        param: {numbers: true, col: ['Count', 'Total']}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test transposing a dataset with a header row.
+ *
+ * Test that the header row is transposed along with the dataset such that the
+ * first row of the transposed dataset becomes the new header.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testTransposeHeader = function(test)
+{
+    var testInput = [
+        ['Name', 'Age'],
+        ['Bob', '3'],
+        ['Alice', '4']
+    ];
+    var expectedOutput = [
+        ['Name', 'Bob', 'Alice'],
+        ['Age', 3, '4']
+    ];
+    var testOperations = [
+        {operation: 'transpose'},
+        {operation: 'interpretStr', param: {numbers: true, col: 'Bob'}}
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that referring to a column name not in the header reports an error.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testUnknownColName = function(test)
+{
+    var testInput = [
+        ['Name', 'Age'],
+        ['Bob', '3']
+    ];
+    var testOperation = {
+        operation: 'replace',
+        param: [{orig: '3', new: '4', col: 'Height'}]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.equal(err, 'Unknown column name: Height');
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that problems with a recipe are all reported before running it.
+ *
+ * Test that a recipe with an unknown operation and malformed params reports
+ * every problem found, each with its step index and field path, through the
+ * error handler without running any of the operations.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInvalidRecipe = function(test)
+{
+    var testInput = [
+        ['a', 'b']
+    ];
+    var testOperations = [
+        {operation: 'transpose'},
+        {operation: 'ignoreRowsIf', param: [{index: 0}]},
+        {operation: 'interpretStr', param: {bools: {falseVal: 'N'}}},
+        {operation: 'replace', param: [{orig: 'a', new: 'b', col: true}]}
+    ];
+    var expectedProblems = [
+        {
+            step: 1,
+            path: 'operation',
+            message: 'Unknown operation "ignoreRowsIf".'
+        },
+        {
+            step: 2,
+            path: 'param.bools.trueVal',
+            message: 'Missing required attribute.'
+        },
+        {
+            step: 3,
+            path: 'param[0].col',
+            message: 'Expected number or string or Array of number or string.'
+        }
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err, problems) {
+            test.equal(err.indexOf('Invalid recipe: step 1 operation'), 0);
+            test.deepEqual(problems, expectedProblems);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test that rules with misspelled attributes are reported as problems.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testInvalidRecipeUnknownAttribute = function(test)
+{
+    var testInput = [
+        ['a', 'b']
+    ];
+    var testOperation = {
+        operation: 'ignoreRowIf',
+        param: [{combined: [{col: 0, val: 'a'}]}]
+    };
+    var expectedProblems = [
+        {
+            step: 0,
+            path: 'param[0]',
+            message: 'Expected one of the attributes index, val, allOf.'
+        },
+        {
+            step: 0,
+            path: 'param[0].combined',
+            message: 'Unknown attribute.'
+        }
+    ];
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err, problems) {
+            test.deepEqual(problems, expectedProblems);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test parsing CSV with quoted fields, embedded line breaks, and a BOM.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvParse = function(test)
+{
+    var testInput = '\uFEFFname,notes\r\n' +
+        '"Smith, Bob","said ""hi""\nthen left"\r\n' +
+        'Alice,\r\n';
+    var expectedOutput = [
+        ['name', 'notes'],
+        ['Smith, Bob', 'said "hi"\nthen left'],
+        ['Alice', '']
+    ];
+
+    test.deepEqual(simple_table_refine.csv.parse(testInput), expectedOutput);
+    test.done();
+};
+
+
+/**
+ * Test parsing TSV with a custom quote character.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvParseTsv = function(test)
+{
+    var testInput = "a\t'b\tc'\n1\t2";
+    var expectedOutput = [
+        ['a', 'b\tc'],
+        ['1', '2']
+    ];
+
+    var actualOutput = simple_table_refine.csv.parse(
+        testInput,
+        {delimiter: '\t', quote: '\''}
+    );
+    test.deepEqual(actualOutput, expectedOutput);
+    test.done();
+};
+
+
+/**
+ * Test that parsing CSV with an unclosed quoted field raises an Error.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvParseUnclosedQuote = function(test)
+{
+    test.throws(function () {
+        simple_table_refine.csv.parse('a,b\n"c,d\n');
+    }, /line 2/);
+    test.done();
+};
+
+
+/**
+ * Test that empty or non-String delimiters and quotes raise an Error.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvEmptyDelimiter = function(test)
+{
+    test.throws(function () {
+        simple_table_refine.csv.parse('a,b', {delimiter: ''});
+    }, /delimiter must be a non-empty String/);
+    test.throws(function () {
+        simple_table_refine.csv.parse('a,b', {quote: ''});
+    }, /quote must be a non-empty String/);
+    test.throws(function () {
+        simple_table_refine.csv.stringify([['a']], {delimiter: 9});
+    }, /delimiter must be a non-empty String/);
+    test.done();
+};
+
+
+/**
+ * Test writing a dataset as CSV, quoting fields where needed.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvStringify = function(test)
+{
+    var testInput = [
+        ['name', 'count', 'notes'],
+        ['Smith, Bob', 2, 'said "hi"'],
+        ['Alice', null, true]
+    ];
+    var expectedOutput = 'name,count,notes\n' +
+        '"Smith, Bob",2,"said ""hi"""\n' +
+        'Alice,,true\n';
+
+    var actualOutput = simple_table_refine.csv.stringify(
+        testInput,
+        {newline: '\n'}
+    );
+    test.equal(actualOutput, expectedOutput);
+    test.done();
+};
+
+
+/**
+ * Test refining a CSV file in a single call.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefineCsvFile = function(test)
+{
+    var path = require('path').join(
+        require('os').tmpdir(),
+        'simple_table_refine_test_' + process.pid + '.csv'
+    );
+    require('fs').writeFileSync(path, 'Name,Status\nBob,keep\nAlice,drop\n');
+
+    var testOperation = {
+        operation: 'ignoreRowIf',
+        param: [{col: 'Status', val: 'drop'}]
+    };
+
+    simple_table_refine.refineCsvFile(
+        testOperation,
+        path,
+        function (actualOutput) {
+            require('fs').unlinkSync(path);
+            test.equal(actualOutput, 'Name,Status\r\nBob,keep\r\n');
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test receiving dry run and validation reports when refining CSV.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefineCsvReport = function(test)
+{
+    simple_table_refine.refineCsv(
+        {operation: 'replace', param: [{orig: '1', new: 'X'}]},
+        'a\n1\n',
+        {dryRun: true}
+    ).then(function (result) {
+        test.equal(result.csv, 'a\r\nX\r\n');
+        test.equal(result.report.steps.length, 1);
+
+        simple_table_refine.refineCsv(
+            {operation: 'validate', param: {
+                constraints: [{col: 'Age', type: 'integer'}],
+                action: 'drop'
+            }},
+            'Name,Age\nBob,3\nAl,x\n',
+            function (actualOutput, report) {
+                test.equal(actualOutput, 'Name,Age\r\nBob,3\r\n');
+                test.deepEqual(report.violations, [
+                    {step: 0, row: 1, col: 1, value: 'x', rule: 'type'}
+                ]);
+                test.done();
+            },
+            undefined,
+            {headerRow: true}
+        );
+    });
+};
+
+
+/**
+ * Test refining rows one at a time through a stream.
+ *
+ * Test running ignoreRowIf, replace, and interpretStr on rows written to a
+ * refine stream, including index rules that count the rows reaching each step.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefineStream = function(test)
+{
+    var testInput = [
+        ['Name', 'Count'],
+        ['Bob', '1'],
+        ['skip', '2'],
+        ['Alice', 'N/A'],
+        ['Carol', '4']
+    ];
+    var expectedOutput = [
+        ['Name', 'Count'],
+        ['Bob', 1],
+        ['Alice', 0]
+    ];
+    var testOperations = [
+        {operation: 'ignoreRowIf', param: [{col: 'Name', val: 'skip'}]},
+        {operation: 'ignoreRowIf', param: [{index: 2}]},
+        {operation: 'replace', param: [{orig: 'N/A', new: '0'}]},
+        {operation: 'interpretStr', param: {numbers: true, col: 'Count'}}
+    ];
+
+    var actualOutput = [];
+    var refineStream = simple_table_refine.createRefineStream(
+        testOperations,
+        {headerRow: true}
+    );
+    refineStream.on('data', function (row) {
+        actualOutput.push(row);
+    });
+    refineStream.on('end', function () {
+        test.deepEqual(actualOutput, expectedOutput);
+        test.done();
+    });
+
+    testInput.forEach(function (row) {
+        refineStream.write(row);
+    });
+    refineStream.end();
+};
+
+
+/**
+ * Test that operations needing the whole dataset are rejected or buffered.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefineStreamBuffer = function(test)
+{
+    var testOperations = [
+        {operation: 'replace', param: [{orig: 'a', new: 'b'}]},
+        {operation: 'transpose'}
+    ];
+
+    test.throws(function () {
+        simple_table_refine.createRefineStream(testOperations);
+    }, /transpose \(step 1\)/);
+
+    var actualOutput = [];
+    var refineStream = simple_table_refine.createRefineStream(
+        testOperations,
+        {buffer: true}
+    );
+    refineStream.on('data', function (row) {
+        actualOutput.push(row);
+    });
+    refineStream.on('end', function () {
+        test.deepEqual(actualOutput, [['b', 'c'], ['1', '2']]);
+        test.done();
+    });
+
+    refineStream.write(['a', '1']);
+    refineStream.write(['c', '2']);
+    refineStream.end();
+};
+
+
+/**
+ * Test parsing CSV through a stream given text split in awkward places.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCsvParseStream = function(test)
+{
+    var chunks = ['a,"b', '""', '"\r', '\nc', ',d'];
+    var expectedOutput = [
+        ['a', 'b"'],
+        ['c', 'd']
+    ];
+
+    var actualOutput = [];
+    var parseStream = simple_table_refine.csv.createParseStream();
+    parseStream.on('data', function (row) {
+        actualOutput.push(row);
+    });
+    parseStream.on('end', function () {
+        test.deepEqual(actualOutput, expectedOutput);
+        test.done();
+    });
+
+    chunks.forEach(function (chunk) {
+        parseStream.write(Buffer.from(chunk));
+    });
+    parseStream.end();
+};
+
+
+/**
+ * Test replacing substrings within cells in a specific column.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testReplaceSubstring = function(test)
+{
+    var testInput = [
+        ['12 USD', '3 USD USD'],
+        ['4 USD', 'USD']
+    ];
+    var expectedOutput = [
+        ['12', '3 USD USD'],
+        ['4', 'USD']
+    ];
+    var testOperation = {
+        operation: 'replace',
+        param: [{orig: ' USD', new: '', match: 'substring', col: 0}]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test replacing regular expression matches with capture group references.
+ *
+ * Test replacing all matches of a case insensitive regular expression and only
+ * the first match of another, using backreferences in the replacement.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testReplaceRegex = function(test)
+{
+    var testInput = [
+        ['n/a', 'a   b  c', '2013-01-02'],
+        ['N / A', 'd e', 5]
+    ];
+    var expectedOutput = [
+        ['', 'a b c', '01/02/2013'],
+        ['', 'd e', 5]
+    ];
+    var testOperation = {
+        operation: 'replace',
+        param: [
+            {orig: '^n\\s*/\\s*a$', new: '', match: 'regex', flags: 'i'},
+            {orig: '\\s+', new: ' ', match: 'regex', col: 1},
+            {
+                orig: '(\\d+)-(\\d+)-(\\d+)',
+                new: '$2/$3/$1',
+                match: 'regex',
+                all: false
+            }
+        ]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test that an invalid regular expression is reported as an error.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testReplaceInvalidRegex = function(test)
+{
+    var testOperation = {
+        operation: 'replace',
+        param: [{orig: '(', new: '', match: 'regex'}]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        [['a']],
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.ok(err.indexOf('Invalid regular expression') != -1);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test removing rows by comparing values in a column against a number.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreRowIfValComparison = function(test)
+{
+    var testInput = [
+        ['a', '5'],
+        ['b', '-1'],
+        ['c', 'unknown'],
+        ['d', -3]
+    ];
+    var expectedOutput = [
+        ['a', '5'],
+        ['c', 'unknown']
+    ];
+    var testOperation = {
+        operation: 'ignoreRowIf',
+        param: [{col: 1, test: '<', val: 0}]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test removing rows using in lists and between ranges joined by AND.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreRowIfValInBetween = function(test)
+{
+    var testInput = [
+        ['control', '5'],
+        ['control', '50'],
+        ['treatment', '7'],
+        ['placebo', '8']
+    ];
+    var expectedOutput = [
+        ['control', '50'],
+        ['treatment', '7']
+    ];
+    var testOperation = {
+        operation: 'ignoreRowIf',
+        param: [
+            {allOf: [
+                {col: 0, test: 'in', val: ['control', 'placebo']},
+                {col: 1, test: 'between', val: [0, 10]}
+            ]}
+        ]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test that in and between tests report a val of the wrong shape.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testValInBetweenBadVal = function(test)
+{
+    var testInput = [['control', '5']];
+
+    test.expect(2);
+    simple_table_refine.refine(
+        {operation: 'ignoreRowIf', param: [
+            {col: 0, test: 'in', val: 'control group'}
+        ]},
+        testInput
+    ).then(function () {
+        test.ok(false, 'Expected an error.');
+    }, function (err) {
+        test.equal(err.message, 'The in test needs an Array of values.');
+    }).then(function () {
+        return simple_table_refine.refine(
+            {operation: 'ignoreColIf', param: [
+                {row: 0, test: 'between', val: 5}
+            ]},
+            testInput
+        );
+    }).then(function () {
+        test.ok(false, 'Expected an error.');
+        test.done();
+    }, function (err) {
+        test.equal(err.message, 'The between test needs a [min, max] Array.');
+        test.done();
+    });
+};
+
+
+/**
+ * Test removing columns using string predicates on the values in a row.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreColIfValStringTests = function(test)
+{
+    var testInput = [
+        ['tmp_a', 'name', 'score_old', 'TOTAL'],
+        ['1', '2', '3', '4']
+    ];
+    var expectedOutput = [
+        ['name'],
+        ['2']
+    ];
+    var testOperation = {
+        operation: 'ignoreColIf',
+        param: [
+            {row: 0, test: 'startsWith', val: 'tmp_'},
+            {row: 0, test: 'endsWith', val: '_old'},
+            {row: 0, test: 'regex', val: '^total$', flags: 'i'}
+        ]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test removing columns where all of a set of comparisons pass.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testIgnoreColIfValCombinedComparison = function(test)
+{
+    var testInput = [
+        ['a', 'b', 'c'],
+        ['1', '20', '30'],
+        ['x', 'y', 'z']
+    ];
+    var expectedOutput = [
+        ['a', 'b'],
+        ['1', '20'],
+        ['x', 'y']
+    ];
+    var testOperation = {
+        operation: 'ignoreColIf',
+        param: [
+            {allOf: [
+                {row: 1, test: '>=', val: 20},
+                {row: 2, test: '!=', val: 'y'}
+            ]}
+        ]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test reporting the changes made by each operation in a dry run.
+ *
+ * Test that a dry run reports the original rows and columns removed and the
+ * cells changed by each operation in terms of the original dataset's indices,
+ * including after a transpose.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDryRunReport = function(test)
+{
+    var testInput = [
+        ['x', 'a', 'N/A'],
+        ['y', 'drop', '1'],
+        ['z', 'b', '2']
+    ];
+    var expectedOutput = [
+        ['a', 'b'],
+        [0, 2]
+    ];
+    var expectedReport = {steps: [
+        {
+            step: 0,
+            operation: 'ignoreRowIf',
+            removedRows: [1],
+            removedCols: [],
+            changedCells: []
+        },
+        {
+            step: 1,
+            operation: 'ignoreColIf',
+            removedRows: [],
+            removedCols: [0],
+            changedCells: []
+        },
+        {
+            step: 2,
+            operation: 'replace',
+            removedRows: [],
+            removedCols: [],
+            changedCells: [{row: 0, col: 2, old: 'N/A', new: '0', rule: 0}]
+        },
+        {
+            step: 3,
+            operation: 'transpose',
+            removedRows: [],
+            removedCols: [],
+            changedCells: []
+        },
+        {
+            step: 4,
+            operation: 'interpretStr',
+            removedRows: [],
+            removedCols: [],
+            changedCells: [
+                {row: 0, col: 2, old: '0', new: 0, rule: 'numbers'},
+                {row: 2, col: 2, old: '2', new: 2, rule: 'numbers'}
+            ]
+        }
+    ]};
+    var testOperations = [
+        {operation: 'ignoreRowIf', param: [{col: 1, val: 'drop'}]},
+        {operation: 'ignoreColIf', param: [{index: 0}]},
+        {operation: 'replace', param: [{orig: 'N/A', new: '0'}]},
+        {operation: 'transpose'},
+        {operation: 'interpretStr', param: {numbers: true, row: 1}}
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput, actualReport) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.deepEqual(actualReport, expectedReport);
+            test.deepEqual(testInput[0], ['x', 'a', 'N/A']);
+            test.done();
+        },
+        undefined,
+        {dryRun: true}
+    );
+};
+
+
+/**
+ * Test refining through the Promise API with options in place of callbacks.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefinePromise = function(test)
+{
+    var testInput = [
+        ['Name', 'Age'],
+        ['Bob', '3']
+    ];
+    var expectedOutput = [
+        ['Name', 'Age'],
+        ['Bob', 3]
+    ];
+    var testOperation = {
+        operation: 'interpretStr',
+        param: {numbers: true, col: 'Age'}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        {headerRow: true}
+    ).then(function (actualOutput) {
+        test.deepEqual(actualOutput, expectedOutput);
+        test.done();
+    });
+};
+
+
+/**
+ * Test that the Promise API rejects with an Error for an invalid recipe.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRefinePromiseRejects = function(test)
+{
+    var testOperation = {operation: 'ignoreRowsIf', param: []};
+
+    simple_table_refine.refine(testOperation, [['a']]).then(
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.ok(err instanceof Error);
+            test.equal(err.problems[0].path, 'operation');
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test using a registered custom operation alongside the built in operations.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRegisterOperation = function(test)
+{
+    var testInput = [
+        ['Name', 'Size'],
+        ['bob', '3'],
+        ['alice', '4']
+    ];
+    var expectedOutput = [
+        ['Name', 'Size'],
+        ['BOB', 3]
+    ];
+    var testOperations = [
+        {operation: 'ignoreRowIf', param: [{col: 'Size', val: '4'}]},
+        {operation: 'upperCase', param: {col: 'Name'}},
+        {operation: 'interpretStr', param: {numbers: true, col: 'Size'}}
+    ];
+
+    var upperCase = function(targetRows, params, onSuccess, onError, context)
+    {
+        var colIndex = context.header.indexOf(params.col);
+        onSuccess(targetRows.map(function (row) {
+            var newRow = row.slice();
+            newRow[colIndex] = newRow[colIndex].toUpperCase();
+            return newRow;
+        }));
+    };
+
+    simple_table_refine.registerOperation('upperCase', upperCase, {
+        schema: {
+            type: 'object',
+            properties: {col: {type: 'string'}},
+            required: ['col'],
+            additionalProperties: false
+        }
+    });
+
+    test.throws(function () {
+        simple_table_refine.registerOperation('upperCase', upperCase);
+    }, /already registered/);
+
+    test.throws(function () {
+        simple_table_refine.registerOperation('lowerCase', 'not a function');
+    }, /must be a function/);
+
+    var names = simple_table_refine.listOperations().map(function (e) {
+        return e.name;
+    });
+    test.notEqual(names.indexOf('upperCase'), -1);
+    test.notEqual(names.indexOf('transpose'), -1);
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+
+            simple_table_refine.refine(
+                {operation: 'upperCase', param: {column: 'Name'}},
+                testInput,
+                function (actualOutput) {
+                    test.ok(false, 'Expected an error.');
+                },
+                function (err, problems) {
+                    test.equal(problems[0].path, 'param.col');
+                    test.equal(problems[1].path, 'param.column');
+
+                    test.ok(
+                        simple_table_refine.unregisterOperation('upperCase')
+                    );
+                    test.ok(
+                        !simple_table_refine.unregisterOperation('upperCase')
+                    );
+                    test.done();
+                },
+                {headerRow: true}
+            );
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test running a registered streamable operation in a refine stream.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRegisterOperationStream = function(test)
+{
+    var testOperations = [
+        {operation: 'replace', param: [{orig: 'a', new: 'b'}]},
+        {operation: 'reverseRow'}
+    ];
+
+    var reverseRow = function(targetRows, params, onSuccess, onError, context)
+    {
+        onSuccess(targetRows.map(function (row) {
+            return row.slice().reverse();
+        }));
+    };
+
+    simple_table_refine.registerOperation('reverseRow', reverseRow, {
+        streamable: true
+    });
+
+    var actualOutput = [];
+    var refineStream = simple_table_refine.createRefineStream(testOperations);
+    refineStream.on('data', function (row) {
+        actualOutput.push(row);
+    });
+    refineStream.on('end', function () {
+        simple_table_refine.unregisterOperation('reverseRow');
+        test.deepEqual(actualOutput, [['1', 'b'], ['2', 'c']]);
+        test.done();
+    });
+
+    refineStream.write(['a', '1']);
+    refineStream.write(['c', '2']);
+    refineStream.end();
+};
+
+
+/**
+ * Test that schemas with unknown types are reported instead of thrown later.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testRegisterOperationBadSchema = function(test)
+{
+    var identity = function(targetRows, params, onSuccess)
+    {
+        onSuccess(targetRows);
+    };
+
+    test.throws(function () {
+        simple_table_refine.registerOperation('identity', identity, {
+            schema: {type: 'object', properties: {col: {type: 'strng'}}}
+        });
+    }, /invalid schema: param\.col: Unknown schema type "strng"/);
+    test.equal(
+        simple_table_refine.unregisterOperation('identity'),
+        false
+    );
+
+    // Schemas changed after registration are reported through onError.
+    var schema = {type: 'object', properties: {col: {type: 'string'}}};
+    simple_table_refine.registerOperation('identity', identity, {
+        schema: schema
+    });
+    schema.properties.col.type = 'strng';
+
+    simple_table_refine.refine(
+        {operation: 'identity', param: {col: 'a'}},
+        [['a']],
+        function () {
+            simple_table_refine.unregisterOperation('identity');
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            simple_table_refine.unregisterOperation('identity');
+            test.equal(
+                err,
+                'Invalid recipe: step 0 param.col: Unknown schema type ' +
+                '"strng".'
+            );
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test running a named pipeline from a recipe file with the command line tool.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCliPipeline = function(test)
+{
+    var recipePath = require('path').join(
+        require('os').tmpdir(),
+        'simple_table_refine_test_' + process.pid + '.json'
+    );
+    require('fs').writeFileSync(recipePath, JSON.stringify({
+        general: [
+            {operation: 'ignoreRowIf', param: [{col: 'Status', val: 'drop'}]},
+            {operation: 'interpretStr', param: {numbers: true, col: 'Age'}}
+        ],
+        other: []
+    }));
+
+    var stdin = new (require('stream').PassThrough)();
+    var actualOutput = [];
+    var stdout = {write: function (text) { actualOutput.push(text); }};
+
+    var args = [
+        '--recipe', recipePath,
+        '--pipeline', 'general',
+        '--header',
+        '--to', 'json'
+    ];
+    cli.run(args, stdin, stdout, function (err) {
+        require('fs').unlinkSync(recipePath);
+        test.equal(err, undefined);
+        test.deepEqual(
+            JSON.parse(actualOutput.join('')),
+            [['Name', 'Status', 'Age'], ['Bob', 'keep', 3]]
+        );
+        test.done();
+    });
+
+    stdin.end('Name,Status,Age\nBob,keep,3\nAlice,drop,4\n');
+};
+
+
+/**
+ * Test that the command line tool reports bad arguments and failed steps.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCliErrors = function(test)
+{
+    test.throws(function () {
+        cli.parseArgs(['input.csv']);
+    }, /Missing --recipe/);
+
+    test.throws(function () {
+        cli.parseArgs(['-r', 'recipe.json', '--to', 'xml']);
+    }, /Unknown format xml/);
+
+    test.throws(function () {
+        cli.selectPipeline({a: [], b: []});
+    }, /Choose one of a, b/);
+
+    var settings = cli.parseArgs(['-r', 'recipe.json', '-o', 'out.tsv', 'in']);
+    test.equal(settings.from, 'csv');
+    test.equal(settings.to, 'tsv');
+
+    var recipePath = require('path').join(
+        require('os').tmpdir(),
+        'simple_table_refine_test_' + process.pid + '_errors.json'
+    );
+    require('fs').writeFileSync(recipePath, JSON.stringify(
+        {operation: 'ignoreRowIf', param: [{col: 'Height', val: '3'}]}
+    ));
+
+    var stdin = new (require('stream').PassThrough)();
+    var stdout = {write: function (text) {}};
+    cli.run(['-r', recipePath, '--header'], stdin, stdout, function (err) {
+        require('fs').unlinkSync(recipePath);
+        test.equal(err, 'Refining failed: Unknown column name: Height');
+        test.done();
+    });
+
+    stdin.end('Name,Age\nBob,3\n');
+};
+
+
+/**
+ * Test reporting validation violations from the command line tool.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCliValidate = function(test)
+{
+    var recipePath = require('path').join(
+        require('os').tmpdir(),
+        'simple_table_refine_test_' + process.pid + '_validate.json'
+    );
+    require('fs').writeFileSync(recipePath, JSON.stringify({
+        operation: 'validate',
+        param: {
+            constraints: [{col: 'Age', type: 'integer', max: 120}],
+            action: 'drop'
+        }
+    }));
+
+    var stdin = new (require('stream').PassThrough)();
+    var actualOutput = [];
+    var stdout = {write: function (text) { actualOutput.push(text); }};
+    var args = ['-r', recipePath, '--header'];
+    cli.run(args, stdin, stdout, function (err, warnings) {
+        require('fs').unlinkSync(recipePath);
+        test.equal(err, undefined);
+        test.equal(actualOutput.join(''), 'Name,Age\nBob,3\n');
+        test.deepEqual(warnings, ['step 0 row 1 col 1 ("200") breaks max.']);
+        test.done();
+    });
+
+    stdin.end('Name,Age\nBob,3\nAl,200\n');
+};
+
+
+/**
+ * Test following refined cells back to their original rows and columns.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testLineage = function(test)
+{
+    var testInput = [
+        ['a', 'b', 'c'],
+        ['x', 'q', '1'],
+        ['2', 'r', 'x']
+    ];
+    var expectedOutput = [
+        ['y', 2],
+        [1, 'y']
+    ];
+    var expectedLineage = [
+        [{row: 1, col: 0, steps: [2]}, {row: 2, col: 0, steps: [4]}],
+        [{row: 1, col: 2, steps: [4]}, {row: 2, col: 2, steps: [2]}]
+    ];
+    var testOperations = [
+        {operation: 'ignoreRowIf', param: [{index: 0}]},
+        {operation: 'ignoreColIf', param: [{index: 1}]},
+        {operation: 'replace', param: [{orig: 'x', new: 'y'}]},
+        {operation: 'transpose'},
+        {operation: 'interpretStr', param: {numbers: true}}
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput, report) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.deepEqual(report.lineage, expectedLineage);
+            test.equal(report.steps, undefined);
+            test.done();
+        },
+        undefined,
+        {lineage: true}
+    );
+};
+
+
+/**
+ * Test lineage for a dataset with a header row that is transposed.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testLineageHeader = function(test)
+{
+    var testInput = [
+        ['Name', 'Age'],
+        ['Bob', '3']
+    ];
+    var expectedOutput = [
+        ['Name', 'Bob'],
+        ['Age', '3']
+    ];
+    var expectedLineage = [
+        null,
+        [{row: null, col: 1, steps: [0]}, {row: 0, col: 1, steps: []}]
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'transpose'},
+        testInput,
+        {headerRow: true, lineage: true, dryRun: true}
+    ).then(function (result) {
+        test.deepEqual(result.rows, expectedOutput);
+        test.deepEqual(result.report.lineage, expectedLineage);
+        test.equal(result.report.steps[0].operation, 'transpose');
+        test.done();
+    });
+};
+
+
+/**
+ * Test adding a column computed from an expression.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDeriveColExpr = function(test)
+{
+    var testInput = [
+        ['Item', 'Price', 'Qty'],
+        ['pen', 2, 3],
+        ['ink', 10, 1]
+    ];
+    var expectedOutput = [
+        ['Item', 'Label', 'Price', 'Qty', 'Total'],
+        ['pen', 'PEN x3', 2, 3, 'small'],
+        ['ink', 'INK x1', 10, 1, 'big']
+    ];
+    var testOperations = [
+        {
+            operation: 'deriveCol',
+            param: {name: 'Total', expr: '$Price * $2 > 8 ? "big" : "small"'}
+        },
+        {
+            operation: 'deriveCol',
+            param: {name: 'Label', expr: 'upper($Item) + " x" + $Qty', at: 1}
+        }
+    ];
+
+    simple_table_refine.refine(
+        testOperations,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test adding a column computed by a function.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDeriveColFunction = function(test)
+{
+    var testInput = [
+        ['a', 'b'],
+        ['c']
+    ];
+    var expectedOutput = [
+        ['a', 'b', '0:a'],
+        ['c', null, '1:c']
+    ];
+    var testOperation = {
+        operation: 'deriveCol',
+        param: {
+            expr: function (row, rowIndex) { return rowIndex + ':' + row[0]; }
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        {lineage: true}
+    ).then(function (result) {
+        test.deepEqual(result.rows, expectedOutput);
+        test.deepEqual(result.report.lineage[1][2], {
+            row: 1,
+            col: null,
+            steps: [0]
+        });
+        test.done();
+    });
+};
+
+
+/**
+ * Test that invalid deriveCol expressions are reported.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDeriveColInvalidExpr = function(test)
+{
+    var testOperation = {
+        operation: 'deriveCol',
+        param: {name: 'Total', expr: '$Price * eval("1")'}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        [['Price'], [1]],
+        function (actualOutput) {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.ok(err.indexOf('Invalid expression') == 0);
+            test.ok(err.indexOf('Unknown function eval') != -1);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test splitting a column by a delimiter with too few and too many parts.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testSplitColDelimiter = function(test)
+{
+    var testInput = [
+        ['Place', 'Code'],
+        ['Boulder, CO', 1],
+        ['Nowhere', 2],
+        ['Paris, TX, USA', 3]
+    ];
+    var expectedOutput = [
+        ['City', 'State', 'Code'],
+        ['Boulder', 'CO', 1],
+        ['Nowhere', '', 2],
+        ['Paris', 'TX, USA', 3]
+    ];
+    var testOperation = {
+        operation: 'splitCol',
+        param: {
+            col: 'Place',
+            delimiter: ', ',
+            into: ['City', 'State'],
+            fill: ''
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test splitting a column by a regular expression, keeping the original.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testSplitColRegex = function(test)
+{
+    var testInput = [
+        ['a1b22c', 'x'],
+        ['d', 'y'],
+        [null]
+    ];
+    var expectedOutput = [
+        ['a1b22c', 'a', 'b', 'x'],
+        ['d', 'd', null, 'y'],
+        [null, null, null]
+    ];
+    var testOperation = {
+        operation: 'splitCol',
+        param: {col: 0, regex: '[0-9]+', into: 2, overflow: 'drop', keep: true}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+
+            testOperation.param.overflow = 'error';
+            simple_table_refine.refine(
+                testOperation,
+                testInput,
+                function (actualOutput) {
+                    test.ok(false, 'Expected an error.');
+                    test.done();
+                },
+                function (err) {
+                    test.equal(
+                        err,
+                        'Row 0 has 3 parts in column 0 but expected 2.'
+                    );
+                    test.done();
+                }
+            );
+        }
+    );
+};
+
+
+/**
+ * Test joining several columns into one.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testMergeCols = function(test)
+{
+    var testInput = [
+        ['Id', 'First', 'Middle', 'Last'],
+        [1, 'Ada', '', 'Lovelace'],
+        [2, 'Alan', 'M', 'Turing']
+    ];
+    var expectedOutput = [
+        ['Id', 'Name'],
+        [1, 'Lovelace, Ada'],
+        [2, 'Turing, Alan, M']
+    ];
+    var testOperation = {
+        operation: 'mergeCols',
+        param: {
+            cols: ['Last', 'First', 'Middle'],
+            separator: ', ',
+            name: 'Name',
+            skipEmpty: true
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        {headerRow: true, dryRun: true}
+    ).then(function (result) {
+        test.deepEqual(result.rows, expectedOutput);
+        test.deepEqual(result.report.steps[0].removedCols, [1, 2, 3]);
+        test.done();
+    });
+};
+
+
+/**
+ * Test that columns which are not indices are reported instead of emptied.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testSplitMergeColsBadIndex = function(test)
+{
+    var testInput = [['a-b', 'c'], ['d-e', 'f']];
+
+    test.expect(2);
+    simple_table_refine.refine(
+        {operation: 'mergeCols', param: {cols: [0, -1]}},
+        testInput
+    ).then(function () {
+        test.ok(false, 'Expected an error.');
+    }, function (err) {
+        test.equal(err.message, 'mergeCols cannot merge column -1.');
+    }).then(function () {
+        return simple_table_refine.refine(
+            {
+                operation: 'splitCol',
+                param: {col: '>1', delimiter: '-', into: 2}
+            },
+            testInput
+        );
+    }).then(function () {
+        test.ok(false, 'Expected an error.');
+        test.done();
+    }, function (err) {
+        test.equal(err.message, 'splitCol cannot split column >1.');
+        test.done();
+    });
+};
+
+
+/**
+ * Test removing rows that repeat across all of their cells.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDedupeRows = function(test)
+{
+    var testInput = [
+        ['a', 1],
+        ['a', '1'],
+        ['b', 2],
+        ['a', 1],
+        ['b', 2, 'extra']
+    ];
+    var expectedOutput = [
+        ['a', 1],
+        ['a', '1'],
+        ['b', 2],
+        ['b', 2, 'extra']
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'dedupeRows'},
+        testInput,
+        {dryRun: true}
+    ).then(function (result) {
+        test.deepEqual(result.rows, expectedOutput);
+        test.deepEqual(result.report.steps[0].removedRows, [3]);
+        test.done();
+    });
+};
+
+
+/**
+ * Test removing rows that repeat key columns, keeping the last and counting.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testDedupeRowsKeyLast = function(test)
+{
+    var testInput = [
+        ['Id', 'Status'],
+        ['1', 'new'],
+        ['2', 'new'],
+        ['1', 'done'],
+        ['1', 'archived']
+    ];
+    var expectedOutput = [
+        ['Id', 'Status', 'Copies'],
+        ['2', 'new', 0],
+        ['1', 'archived', 2]
+    ];
+    var testOperation = {
+        operation: 'dedupeRows',
+        param: {cols: 'Id', keep: 'last', count: 'Copies'}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test sorting by several keys of different types with empty cells.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testSortRows = function(test)
+{
+    var testInput = [
+        ['Name', 'Score', 'Joined'],
+        ['dee', '10', '2014-02-01'],
+        ['al', '9', ''],
+        ['cy', '', '2014-01-01'],
+        ['bo', 10, new Date(Date.UTC(2013, 0, 1))],
+        ['ed', 9, '2014-01-15']
+    ];
+    var expectedOutput = [
+        ['Name', 'Score', 'Joined'],
+        ['cy', '', '2014-01-01'],
+        ['bo', 10, new Date(Date.UTC(2013, 0, 1))],
+        ['dee', '10', '2014-02-01'],
+        ['ed', 9, '2014-01-15'],
+        ['al', '9', '']
+    ];
+    var testOperation = {
+        operation: 'sortRows',
+        param: [
+            {col: 'Score', direction: 'desc', type: 'number', empty: 'first'},
+            {col: 'Joined', type: 'date'}
+        ]
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that sorting is stable and can keep the first row at the top.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testSortRowsStablePinned = function(test)
+{
+    var testInput = [
+        ['name', 'group'],
+        ['b', 'x'],
+        ['a', 'y'],
+        ['c', 'x'],
+        ['d', 'y']
+    ];
+    var expectedOutput = [
+        ['name', 'group'],
+        ['b', 'x'],
+        ['c', 'x'],
+        ['a', 'y'],
+        ['d', 'y']
+    ];
+    var testOperation = {
+        operation: 'sortRows',
+        param: {
+            keys: [{col: 1, type: 'locale', locale: 'en'}],
+            pinFirstRow: true
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        {dryRun: true}
+    ).then(function (result) {
+        test.deepEqual(result.rows, expectedOutput);
+        test.deepEqual(result.report.steps[0].removedRows, []);
+        test.done();
+    });
+};
+
+
+/**
+ * Test grouping rows by key columns and summarizing each group.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testAggregate = function(test)
+{
+    var testInput = [
+        ['Participant', 'Condition', 'Hours', 'Note'],
+        ['p1', 'a', '1.5', 'late'],
+        ['p2', 'a', 2, ''],
+        ['p1', 'b', '3', 'ok'],
+        ['p1', 'a', '', 'late']
+    ];
+    var expectedOutput = [
+        [
+            'Participant', 'Condition', 'count', 'Total', 'Hours_mean',
+            'Hours_min', 'Hours_max', 'Hours_first', 'Hours_last',
+            'Note_distinct', 'Note_join'
+        ],
+        ['p1', 'a', 2, 1.5, 1.5, 1.5, 1.5, '1.5', '', 1, 'late; late'],
+        ['p2', 'a', 1, 2, 2, 2, 2, 2, 2, 0, ''],
+        ['p1', 'b', 1, 3, 3, 3, 3, '3', '3', 1, 'ok']
+    ];
+    var testOperation = {
+        operation: 'aggregate',
+        param: {
+            by: ['Participant', 'Condition'],
+            aggs: [
+                {op: 'count'},
+                {op: 'sum', col: 'Hours', name: 'Total'},
+                {op: 'mean', col: 'Hours'},
+                {op: 'min', col: 'Hours'},
+                {op: 'max', col: 'Hours'},
+                {op: 'first', col: 'Hours'},
+                {op: 'last', col: 'Hours'},
+                {op: 'distinct', col: 'Note'},
+                {op: 'join', col: 'Note', separator: '; '}
+            ]
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test summarizing a dataset without a header row as a single group.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testAggregateNoKeys = function(test)
+{
+    var testInput = [
+        ['x', 5],
+        ['y', 1],
+        ['z', 'bad']
+    ];
+    var testOperation = {
+        operation: 'aggregate',
+        param: {aggs: [{op: 'min', col: 0}, {op: 'sum', col: 1}]}
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, [['x', 6]]);
+
+            simple_table_refine.refine(
+                {operation: 'aggregate', param: {aggs: [{op: 'sum'}]}},
+                testInput,
+                function (actualOutput) {
+                    test.ok(false, 'Expected an error.');
+                    test.done();
+                },
+                function (err) {
+                    test.equal(err, 'The sum aggregator needs a col.');
+                    test.done();
+                }
+            );
+        }
+    );
+};
+
+
+/**
+ * Test finding the earliest and latest Dates in a column.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testAggregateDates = function(test)
+{
+    var early = new Date(2013, 0, 2);
+    var late = new Date(2014, 5, 1);
+    var testInput = [
+        ['a', late],
+        ['a', early],
+        ['a', null]
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'aggregate', param: {by: 0, aggs: [
+            {op: 'min', col: 1},
+            {op: 'max', col: 1}
+        ]}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, [['a', early, late]]);
+            test.ok(actualOutput[0][1] instanceof Date);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test turning long data into a wide table.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testPivot = function(test)
+{
+    var testInput = [
+        ['Id', 'Condition', 'Score'],
+        ['p1', 'a', 1],
+        ['p1', 'b', 2],
+        ['p2', 'a', 3],
+        ['p1', 'a', 5]
+    ];
+    var expectedOutput = [
+        ['Id', 'a', 'b'],
+        ['p1', 6, 2],
+        ['p2', 3, 0]
+    ];
+    var testOperation = {
+        operation: 'pivot',
+        param: {
+            index: 'Id',
+            columns: 'Condition',
+            values: 'Score',
+            agg: 'sum',
+            fill: 0
+        }
+    };
+
+    simple_table_refine.refine(
+        testOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test turning wide columns into long rows and back.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testUnpivot = function(test)
+{
+    var testInput = [
+        ['Id', 'Age', 'Pre', 'Post'],
+        ['p1', 20, '1', '2'],
+        ['p2', 30, '3', '']
+    ];
+    var expectedMelted = [
+        ['Id', 'Age', 'Phase', 'Score'],
+        ['p1', 20, 'Pre', '1'],
+        ['p1', 20, 'Post', '2'],
+        ['p2', 30, 'Pre', '3']
+    ];
+    var expectedPivoted = [
+        ['Id', 'Pre', 'Post'],
+        ['p1', '1', '2'],
+        ['p2', '3', null]
+    ];
+    var meltOperation = {
+        operation: 'melt',
+        param: {
+            id: ['Id', 'Age'],
+            varName: 'Phase',
+            valueName: 'Score',
+            dropEmpty: true
+        }
+    };
+    var pivotOperation = {
+        operation: 'pivot',
+        param: {index: 'Id', columns: 'Phase', values: 'Score'}
+    };
+
+    simple_table_refine.refine(
+        meltOperation,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedMelted);
+
+            simple_table_refine.refine(
+                [meltOperation, pivotOperation],
+                testInput,
+                function (actualOutput) {
+                    test.deepEqual(actualOutput, expectedPivoted);
+                    test.done();
+                },
+                undefined,
+                {headerRow: true}
+            );
+        },
+        undefined,
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test unpivoting a dataset without a header row.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testUnpivotNoHeader = function(test)
+{
+    var testInput = [
+        ['a', 1, 2],
+        ['b', 3]
+    ];
+    var expectedOutput = [
+        ['a', 1, 1],
+        ['a', 2, 2],
+        ['b', 1, 3],
+        ['b', 2, null]
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'unpivot', param: {id: 0}},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test joining another dataset with a header row, keeping unmatched rows.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testJoinLeft = function(test)
+{
+    var testInput = [
+        ['Participant', 'Trial', 'Score'],
+        ['p1', 1, 10],
+        ['p2', 1, 12],
+        ['p3', 1, 9],
+        ['p1', 2, 11]
+    ];
+    var people = [
+        ['Participant', 'Age', 'Score'],
+        ['p1', 30, 'A'],
+        ['p2', 25, 'B']
+    ];
+    var expectedOutput = [
+        ['Participant', 'Trial', 'Score', 'Age', 'Score_right'],
+        ['p1', 1, 10, 30, 'A'],
+        ['p2', 1, 12, 25, 'B'],
+        ['p3', 1, 9, null, null],
+        ['p1', 2, 11, 30, 'A']
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'join', param: {
+            input: 'people',
+            on: 'Participant',
+            type: 'left'
+        }},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        },
+        {headerRow: true, inputs: {people: people}}
+    );
+};
+
+
+/**
+ * Test full joins on differently placed keys and duplicate key handling.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testJoinFullDuplicates = function(test)
+{
+    var testInput = [
+        ['a', 1],
+        ['b', 2]
+    ];
+    var other = [
+        [1, 'x', 'a'],
+        [2, 'y', 'a'],
+        [3, 'z', 'c']
+    ];
+    var operation = {operation: 'join', param: {
+        input: 'other',
+        leftOn: 0,
+        rightOn: 2,
+        type: 'full'
+    }};
+    var options = {inputs: {other: other}};
+
+    test.expect(3);
+    simple_table_refine.refine(operation, testInput, options).then(
+        function (actualOutput) {
+            test.deepEqual(actualOutput, [
+                ['a', 1, 1, 'x'],
+                ['a', 1, 2, 'y'],
+                ['b', 2, null, null],
+                ['c', null, 3, 'z']
+            ]);
+
+            operation.param.duplicates = 'last';
+            return simple_table_refine.refine(operation, testInput, options);
+        }
+    ).then(function (actualOutput) {
+        test.deepEqual(actualOutput, [
+            ['a', 1, 2, 'y'],
+            ['b', 2, null, null],
+            ['c', null, 3, 'z']
+        ]);
+
+        operation.param.duplicates = 'error';
+        return simple_table_refine.refine(operation, testInput, options);
+    }).then(null, function (err) {
+        test.equal(
+            err.message,
+            'Input other has more than one row with the key ["a"].'
+        );
+        test.done();
+    });
+};
+
+
+/**
+ * Test that joining an input not given to refine reports an error.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testJoinUnknownInput = function(test)
+{
+    simple_table_refine.refine(
+        {operation: 'join', param: {input: 'missing', on: 0}},
+        [['a', 1]],
+        function () {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err) {
+            test.equal(err, 'Unknown input: missing');
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test filling missing cells from neighboring cells and constants.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testFillMissingNeighbors = function(test)
+{
+    var testInput = [
+        ['Site', 'Reading', 'Note'],
+        ['a', 1, 'ok'],
+        ['', '', 'NA'],
+        [null, 4],
+        ['b', 'NA', ''],
+        ['', 10, 'x']
+    ];
+    var expectedOutput = [
+        ['Site', 'Reading', 'Note'],
+        ['a', 1, 'ok'],
+        ['a', 2.5, 'none'],
+        ['a', 4, 'none'],
+        ['b', 7, 'x'],
+        ['b', 10, 'x']
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'fillMissing', param: [
+            {method: 'forward', col: 'Site'},
+            {method: 'interpolate', col: 'Reading', missing: ['', 'NA']},
+            {method: 'backward', col: 'Note', row: [3, 4]},
+            {method: 'constant', value: 'none', col: 2, missing: ['NA']}
+        ]},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test filling missing cells with column statistics.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testFillMissingStats = function(test)
+{
+    var testInput = [
+        [1, 'x', 2],
+        ['', 'y', 4],
+        [5, '', ''],
+        [6, 'y', 9]
+    ];
+    var expectedOutput = [
+        [1, 'x', 2],
+        [4, 'y', 4],
+        [5, 'y', 4],
+        [6, 'y', 9]
+    ];
+
+    test.expect(2);
+    simple_table_refine.refine(
+        {operation: 'fillMissing', param: [
+            {method: 'mean', col: 0},
+            {method: 'mode', col: 1},
+            {method: 'median', col: 2}
+        ]},
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+
+            simple_table_refine.refine(
+                {operation: 'fillMissing', param: [{method: 'constant'}]},
+                testInput,
+                function () {
+                    test.ok(false, 'Expected an error.');
+                    test.done();
+                },
+                function (err) {
+                    test.equal(err, 'The constant fill method needs a value.');
+                    test.done();
+                }
+            );
+        }
+    );
+};
+
+
+/**
+ * Test normalizing text so that differently formatted values match.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testNormalizeText = function(test)
+{
+    var testInput = [
+        ['Name', 'Consent'],
+        ['  José   de\tla\u0007 Cruz ', ' y'],
+        ['MARY-ANN o\'neil', 'Y.'],
+        [5, 'n']
+    ];
+    var expectedOutput = [
+        ['Name', 'Consent'],
+        ['Jose De La Cruz', true],
+        ['Maryann Oneil', true],
+        [5, false]
+    ];
+
+    simple_table_refine.refine(
+        [
+            {operation: 'normalizeText', param: {
+                trim: true,
+                collapseWhitespace: true,
+                stripPunctuation: true,
+                stripNonPrintable: true,
+                stripDiacritics: true,
+                case: 'title',
+                col: 'Name'
+            }},
+            {operation: 'normalizeText', param: {
+                trim: true,
+                stripPunctuation: true,
+                case: 'upper',
+                col: 'Consent'
+            }},
+            {operation: 'interpretStr', param: {
+                bools: {trueVal: 'Y', falseVal: 'N'}
+            }}
+        ],
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test describing the type and values of each column in a dataset.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testProfile = function(test)
+{
+    var testInput = [
+        ['ID', 'Age', 'Visit', 'Consent', 'Note', 'Score'],
+        ['007', '31', '01/02/2013', 'Y', 'a', '1.5'],
+        ['008', '', '1/5/2013', 'no', '', 2],
+        ['009', '45', '12/31/2012', 'yes', 'bb', '1.5']
+    ];
+
+    var report = simple_table_refine.profile(
+        testInput,
+        {headerRow: true, top: 1}
+    );
+
+    test.equal(report.rows, 3);
+    test.deepEqual(report.cols.map(function (col) {
+        return col.type;
+    }), ['string', 'integer', 'date', 'bool', 'string', 'number']);
+    test.deepEqual(report.cols[1], {
+        index: 1,
+        name: 'Age',
+        type: 'integer',
+        format: null,
+        blank: 1,
+        distinct: 2,
+        top: [{value: '31', count: 1}],
+        min: 31,
+        max: 45,
+        minLength: 2,
+        maxLength: 2
+    });
+    test.deepEqual(report.cols[2].format, ['MM/DD/YYYY', 'M/D/YYYY']);
+    test.deepEqual(report.cols[5].top, [{value: '1.5', count: 2}]);
+    test.deepEqual(
+        [report.cols[4].minLength, report.cols[4].maxLength],
+        [1, 2]
+    );
+    test.done();
+};
+
+
+/**
+ * Test that the recipe from a profile converts each column to its type.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testProfileRecipe = function(test)
+{
+    var testInput = [
+        ['007', '31', 'Y', '2013-01-02'],
+        ['008', '4', 'n', '2013-01-03']
+    ];
+    var expectedOutput = [
+        ['007', 31, true, new Date(2013, 0, 2).toISOString()],
+        ['008', 4, false, new Date(2013, 0, 3).toISOString()]
+    ];
+
+    var report = simple_table_refine.inferSchema(testInput);
+    test.equal(report.cols[3].format, 'YYYY-MM-DD');
+
+    simple_table_refine.refine(
+        report.recipe,
+        testInput,
+        function (actualOutput) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};
+
+
+/**
+ * Test writing a profile report from the command line tool.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testCliProfile = function(test)
+{
+    var stdin = new (require('stream').PassThrough)();
+    var actualOutput = [];
+    var stdout = {write: function (text) { actualOutput.push(text); }};
+
+    cli.run(['--profile', '--header'], stdin, stdout, function (err) {
+        test.equal(err, undefined);
+        var report = JSON.parse(actualOutput.join(''));
+        test.deepEqual(report.cols.map(function (col) {
+            return [col.name, col.type];
+        }), [['Name', 'string'], ['Age', 'integer']]);
+        test.done();
+    });
+
+    stdin.end('Name,Age\nBob,3\nAlice,4\n');
+};
+
+
+/**
+ * Test that failed validations report each violation through onError.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testValidateError = function(test)
+{
+    var testInput = [
+        ['ID', 'Age', 'Status'],
+        ['a', '31', 'ok'],
+        ['a', '150', 'bad'],
+        ['', 'x', 'ok']
+    ];
+    var expectedViolations = [
+        {step: 1, row: 1, col: 0, value: 'a', rule: 'unique'},
+        {step: 1, row: 1, col: 1, value: '150', rule: 'max'},
+        {step: 1, row: 2, col: 0, value: '', rule: 'required'},
+        {step: 1, row: 2, col: 1, value: 'x', rule: 'type'}
+    ];
+
+    simple_table_refine.refine(
+        [
+            {operation: 'replace', param: [{orig: 'ok', new: 'fine'}]},
+            {operation: 'validate', param: {constraints: [
+                {col: 'ID', required: true, unique: true},
+                {col: 'Age', type: 'integer', min: 0, max: 120},
+                {col: 'Status', enum: ['fine', 'bad']}
+            ]}}
+        ],
+        testInput,
+        function () {
+            test.ok(false, 'Expected an error.');
+            test.done();
+        },
+        function (err, violations) {
+            test.equal(
+                err,
+                'Validation failed with 4 violations: row 1 col ID ("a") ' +
+                    'breaks unique. row 1 col Age ("150") breaks max. row 2 ' +
+                    'col ID ("") breaks required. row 2 col Age ("x") ' +
+                    'breaks type.'
+            );
+            test.deepEqual(violations, expectedViolations);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test removing rows that break a constraint and reporting the violations.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testValidateDrop = function(test)
+{
+    var testInput = [
+        ['2013-01-02', 'A-1'],
+        ['2012-12-31', 'A-2'],
+        ['soon', 'B-3']
+    ];
+    var operation = {operation: 'validate', param: {
+        constraints: [
+            {col: 0, type: 'date', min: '2013-01-01'},
+            {col: 1, regex: '^a-\\d+$', flags: 'i'}
+        ],
+        action: 'drop'
+    }};
+
+    simple_table_refine.refine(operation, testInput).then(function (result) {
+        test.deepEqual(result.rows, [['2013-01-02', 'A-1']]);
+        test.deepEqual(result.report.violations, [
+            {step: 0, row: 1, col: 0, value: '2012-12-31', rule: 'min'},
+            {step: 0, row: 2, col: 0, value: 'soon', rule: 'type'},
+            {step: 0, row: 2, col: 1, value: 'B-3', rule: 'regex'}
+        ]);
+        test.done();
+    });
+};
+
+
+/**
+ * Test adding a column describing the violations in each row.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testValidateAnnotate = function(test)
+{
+    var testInput = [
+        ['ID', 'Score'],
+        ['a', 3],
+        ['b', 'n/a'],
+        ['b']
+    ];
+    var expectedOutput = [
+        ['ID', 'Score', 'Problems'],
+        ['a', 3, ''],
+        ['b', 'n/a', 'Score: type'],
+        ['b', null, 'ID: unique; Score: required']
+    ];
+
+    simple_table_refine.refine(
+        {operation: 'validate', param: {
+            constraints: [
+                {col: 'ID', unique: true},
+                {col: 'Score', type: 'number', required: true}
+            ],
+            action: 'annotate',
+            name: 'Problems'
+        }},
+        testInput,
+        function (actualOutput, report) {
+            test.deepEqual(actualOutput, expectedOutput);
+            test.equal(report.violations.length, 3);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        },
+        {headerRow: true}
+    );
+};
+
+
+/**
+ * Test that a regex constraint with a g flag checks every cell the same way.
+ *
+ * @param {nodeunit.test} test The test this routine is running under.
+**/
+exports.testValidateRegexGlobal = function(test)
+{
+    var testInput = [['ab1'], ['ab2'], ['ab3'], ['x']];
+
+    simple_table_refine.refine(
+        {operation: 'validate', param: {
+            constraints: [{col: 0, regex: '^ab', flags: 'gi'}],
+            action: 'drop'
+        }},
+        testInput,
+        function (actualOutput, report) {
+            test.deepEqual(actualOutput, [['ab1'], ['ab2'], ['ab3']]);
+            test.deepEqual(report.violations, [
+                {step: 0, row: 3, col: 0, value: 'x', rule: 'regex'}
+            ]);
+            test.done();
+        },
+        function (err) {
+            test.ok(false, err);
+            test.done();
+        }
+    );
+};